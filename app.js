@@ -80,6 +80,72 @@
   }
 
 
+  // ---------------------------------------------------------------------------
+  // Helper: IndexedDB (small promise wrapper; one DB, stores created on upgrade)
+  // ---------------------------------------------------------------------------
+  const IDB_NAME    = 'ontarioTrails';
+  const IDB_VERSION = 4;
+  let _idbPromise = null;
+
+  function idbOpen() {
+    if (_idbPromise) return _idbPromise;
+    _idbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) { reject(new Error('IndexedDB not supported')); return; }
+      const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        // Track journal: one row per recorded fix, grouped by trackId
+        if (!db.objectStoreNames.contains('trackPoints')) {
+          db.createObjectStore('trackPoints', { autoIncrement: true }).createIndex('trackId', 'trackId');
+        }
+        // Track library (+ the in-progress track, status 'recording')
+        if (!db.objectStoreNames.contains('tracks')) {
+          db.createObjectStore('tracks', { keyPath: 'id' });
+        }
+        // Imported GPX/KML/GeoJSON overlays (v2)
+        if (!db.objectStoreNames.contains('overlays')) {
+          db.createObjectStore('overlays', { keyPath: 'id' });
+        }
+        // Live Nominatim lake matches, keyed by nameCacheKey (v3)
+        if (!db.objectStoreNames.contains('geocodes')) {
+          db.createObjectStore('geocodes', { keyPath: 'key' });
+        }
+        // Pin photos: resized JPEG + thumbnail blobs, grouped by pinId (v4)
+        if (!db.objectStoreNames.contains('photos')) {
+          db.createObjectStore('photos', { keyPath: 'id' }).createIndex('pinId', 'pinId');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    _idbPromise.catch(() => { _idbPromise = null; });
+    return _idbPromise;
+  }
+
+  // Run fn(store) in a transaction; resolves with fn's request result on complete
+  async function idbRun(storeName, mode, fn) {
+    const db = await idbOpen();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  }
+  const idbPut    = (store, value) => idbRun(store, 'readwrite', st => st.put(value));
+  const idbGet    = (store, key)   => idbRun(store, 'readonly',  st => st.get(key));
+  const idbGetAll = (store)        => idbRun(store, 'readonly',  st => st.getAll());
+  const idbDelete = (store, key)   => idbRun(store, 'readwrite', st => st.delete(key));
+  const idbGetAllByIndex = (store, index, key) =>
+    idbRun(store, 'readonly', st => st.index(index).getAll(key));
+  const idbDeleteByIndex = (store, index, key) =>
+    idbRun(store, 'readwrite', st => {
+      const req = st.index(index).openKeyCursor(IDBKeyRange.only(key));
+      req.onsuccess = () => { const c = req.result; if (c) { st.delete(c.primaryKey); c.continue(); } };
+      return null;
+    });
+
+
   // ---------------------------------------------------------------------------
   // Geocoder in Panel (Ontario/Quebec-bounded Nominatim wrapper)
   // ---------------------------------------------------------------------------
@@ -97,14 +163,13 @@
 
 
   (function initPanelSearch(){
-    if (!window.L?.Control?.Geocoder) {
-      console.warn('Leaflet Control Geocoder not found. Check CDN script tag.');
-      return; 
-    }
+    // Without the geocoder (e.g. CDN unreachable offline) only loaded data is searched
+    const hasGeocoder = !!window.L?.Control?.Geocoder;
+    if (!hasGeocoder) console.warn('Leaflet Control Geocoder not found. Check CDN script tag.');
     const ON_QC_BOUNDS = L.latLngBounds([41.6, -95.0], [62.0, -57.0]);
     const ALLOWED_STATES = new Set(['Ontario', 'Québec', 'Quebec']);
 
-    const nom = L.Control.Geocoder.nominatim({
+    const nom = hasGeocoder && L.Control.Geocoder.nominatim({
       geocodingQueryParams: {
         countrycodes: 'ca',
         viewbox: [ON_QC_BOUNDS.getWest(), ON_QC_BOUNDS.getSouth(),
@@ -139,15 +204,32 @@
   const SEARCH_POINT_ZOOM     = 13;       // target zoom for point results
   const SEARCH_BOUNDS_PADDING = [32, 32]; // a bit more breathing room
 
-  function renderResults(list) {
+  // Local hits (loaded datasets, pins) first with a source badge, then geocoder results
+  function renderResults(list, local = [], note = '') {
     if (!searchResults) return;
     searchResults.innerHTML = '';
 
     // Handle empty or undefined results
-    if (!Array.isArray(list) || list.length === 0) {
-      setResultsMessage('No results found.');
+    if ((!Array.isArray(list) || list.length === 0) && !local.length) {
+      setResultsMessage(note || 'No results found.');
       return;
     }
+    if (!Array.isArray(list)) list = [];
+
+    local.forEach(hit => {
+      const div = document.createElement('div');
+      div.className = 'item';
+      div.innerHTML = `<span class="src-badge src-${hit.source}">${LOCAL_SOURCE_BADGES[hit.source]}</span>${esc(hit.name)}` +
+        (hit.detail ? ` <span class="muted" style="font-size:.85rem;">${esc(hit.detail)}</span>` : '');
+      div.addEventListener('click', () => openLocalHit(hit));
+      searchResults.appendChild(div);
+    });
+    if (note) {
+      const div = document.createElement('div');
+      div.className = 'empty';
+      div.textContent = note;
+      searchResults.appendChild(div);
+    }
 
     // If Nominatim hit its result cap, warn that results may be incomplete
     const MAX_NOM_RESULTS = 10;
@@ -165,7 +247,7 @@
     list.slice(0, MAX_NOM_RESULTS).forEach(r => {
       const div = document.createElement('div');
       div.className = 'item';
-      div.textContent = r.name || r.html || r.properties?.display_name || 'Result';
+      div.innerHTML = `<span class="src-badge src-place">Place</span>${esc(r.name || r.html || r.properties?.display_name || 'Result')}`;
   div.addEventListener('click', () => {
     if (r.bbox) {
       map.fitBounds(r.bbox, { maxZoom: SEARCH_MAX_ZOOM_BBOX, padding: SEARCH_BOUNDS_PADDING });
@@ -188,6 +270,24 @@
 
 
 
+  function renderCoordinateResult(c) {
+    if (!searchResults) return;
+    searchResults.innerHTML = `
+      <div class="item coord-result">
+        <span class="src-badge src-coord">Coords</span><b>${esc(formatCoords(c.lat, c.lng))}</b>
+        <span class="muted" style="font-size:.85rem;">${esc(c.format)}</span>
+        <div class="row" style="margin-top:6px;">
+          <button class="btn" data-coord="go">🎯 Go</button>
+          <button class="btn" data-coord="pin">📍 Drop pin</button>
+        </div>
+      </div>`;
+    searchResults.querySelector('[data-coord="go"]').addEventListener('click', () => goToCoordinate(c));
+    searchResults.querySelector('[data-coord="pin"]').addEventListener('click', () => {
+      goToCoordinate(c);
+      dropPinAtCoordinate(c);
+    });
+  }
+
   // --- helpers: keep just above runSearch ------------------------------
 
   // province/country filter (as you already use)
@@ -236,8 +336,11 @@ function nameSuggestsWater(r) {
   }
 
   // promisify a geocoder call
-  const geocodeP = (geocoder, query) => new Promise(res => {
-    geocoder.geocode(query, (results) => res(results || []));
+  // (rejects after SEARCH_ONLINE_TIMEOUT_MS so a dead connection can't stall the list)
+  const SEARCH_ONLINE_TIMEOUT_MS = 8000;
+  const geocodeP = (geocoder, query) => new Promise((res, rej) => {
+    const timer = setTimeout(() => rej(new Error('Geocoder timed out')), SEARCH_ONLINE_TIMEOUT_MS);
+    geocoder.geocode(query, (results) => { clearTimeout(timer); res(results || []); });
   });
 
   // one global throttle for water-augment calls
@@ -246,10 +349,25 @@ function nameSuggestsWater(r) {
 
 
   // --- drop-in replacement: runSearch ---------------------------------
-const runSearch = async (q, mySeq) => {
+const runSearch = async (q, mySeq, { jump = false } = {}) => {
   if (!q || q.length < 3) { setResultsMessage('Type at least 3 characters…'); return; }
+
+  // Coordinates never go to the geocoder
+  const coord = parseCoordinateQuery(q);
+  if (coord?.error) { setResultsMessage(esc(coord.error)); return; }
+  if (coord) { renderCoordinateResult(coord); if (jump) goToCoordinate(coord); return; }
+
   setResultsMessage('Searching…');
 
+  let local = [];
+  try { local = await searchLocal(q); } catch (err) { console.warn('Local search error:', err); }
+  if (mySeq !== searchSeq) return;
+  if (!nom || navigator.onLine === false) {
+    renderResults([], local, local.length ? 'Offline — showing loaded data only.' : 'Offline — no matches in loaded data.');
+    return;
+  }
+  renderResults([], local, 'Searching online…');
+
   try {
     // 1) Primary bounded search (fast; your existing constrained geocoder)
     const primary = (await geocodeP(constrained, q)).filter(keepAllowed);
@@ -289,11 +407,12 @@ const runSearch = async (q, mySeq) => {
       if (extras.length) merged = dedupeBySignature([...primary, ...extras]);
     }
 
-    renderResults(merged);
+    renderResults(merged, local);
   } catch (err) {
     if (mySeq !== searchSeq) return;
     console.warn('Search error:', err);
-    setResultsMessage('Search failed. Try again.');
+    if (local.length) renderResults([], local, 'Online search unavailable — showing loaded data only.');
+    else setResultsMessage('Search failed. Try again.');
   }
 };
 
@@ -301,12 +420,12 @@ const runSearch = async (q, mySeq) => {
   // Button still works (immediate search)
   searchBtn?.addEventListener('click', () => {
     const q = (searchInput?.value || '').trim();
-    searchSeq++; runSearch(q, searchSeq);
+    searchSeq++; runSearch(q, searchSeq, { jump: true });
   });
 
   // Hit Enter still works
   searchInput?.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') { searchSeq++; runSearch((searchInput.value || '').trim(), searchSeq); }
+    if (e.key === 'Enter') { searchSeq++; runSearch((searchInput.value || '').trim(), searchSeq, { jump: true }); }
   });
 
   // NEW: dynamic search after 3 chars (debounced)
@@ -343,6 +462,7 @@ const runSearch = async (q, mySeq) => {
   const showImagery   = document.getElementById('showImagery');
 
   const crosshairEl   = document.getElementById('crosshair');
+  const coordReadoutEl = document.getElementById('coordReadout');
   const contourHintEl = document.getElementById('contourHint');
 
   // Panel: stop map/page interaction when touching inside the panel
@@ -415,16 +535,134 @@ const runSearch = async (q, mySeq) => {
   function updateCrosshair() {
     if (!crosshairEl || !showCrosshair) return;
     crosshairEl.style.display = showCrosshair.checked ? 'block' : 'none';
+    if (coordReadoutEl) coordReadoutEl.hidden = !showCrosshair.checked;
   }
   updateCrosshair();
   showCrosshair?.addEventListener('change', updateCrosshair);
 
 
   // ---------------------------------------------------------------------------
-  // Trails (OTN.geojson) + toggle
+  // Trails (OTN.geojson) + toggle, attribute popups and style modes
   // ---------------------------------------------------------------------------
   const trailsStyle = { color: '#1472ff', weight: 3, opacity: 0.9 };
-  const trailsLayer = L.geoJSON(null, { style: trailsStyle });
+
+  // OTN exports vary in field naming; first non-empty candidate wins
+  const OTN_FIELDS = {
+    name:    ['TRAIL_NAME', 'TRAILNAME', 'NAME', 'TRAIL', 'SEGMENT_NAME'],
+    surface: ['SURFACE_TYPE', 'SURFACE', 'TRAIL_SURFACE', 'SURFACE_MATERIAL'],
+    uses:    ['PERMITTED_USES', 'PERMITTED_USE', 'TRAIL_USES', 'USES', 'ACTIVITIES'],
+    org:     ['MANAGING_ORGANIZATION', 'MANAGING_ORGANISATION', 'TRAIL_ORGANIZATION', 'ORGANIZATION', 'MANAGER', 'OWNER']
+  };
+  // Per-use Y/N columns, for exports without a combined uses field
+  const OTN_USE_FLAGS = [
+    { label: 'Hiking',     fields: ['HIKING', 'HIKING_IND', 'WALKING'] },
+    { label: 'Cycling',    fields: ['CYCLING', 'CYCLING_IND', 'BICYCLING', 'MOUNTAIN_BIKING'] },
+    { label: 'Horseback',  fields: ['HORSEBACK_RIDING', 'HORSEBACK_IND', 'EQUESTRIAN'] },
+    { label: 'ATV',        fields: ['ATV', 'ATV_IND', 'ORV'] },
+    { label: 'Snowmobile', fields: ['SNOWMOBILE', 'SNOWMOBILING', 'SNOWMOBILE_IND'] },
+    { label: 'Skiing',     fields: ['CROSS_COUNTRY_SKIING', 'SKIING', 'XC_SKIING'] },
+    { label: 'Paddling',   fields: ['PADDLING', 'CANOEING', 'CANOE_IND'] }
+  ];
+  // First matching category colours the segment, so the most restrictive use leads
+  const TRAIL_USE_STYLES = [
+    { label: 'Motorised (ATV / snowmobile)', color: '#dc2626', re: /atv|orv|off[- ]?road|snowmobil|motori[sz]ed|dirt ?bike/i },
+    { label: 'Horseback',                    color: '#92400e', re: /horse|equestrian/i },
+    { label: 'Cycling',                      color: '#f59e0b', re: /cycl|bike|bicycl/i },
+    { label: 'Paddling',                     color: '#2563eb', re: /paddl|canoe|kayak/i },
+    { label: 'Hiking / walking',             color: '#16a34a', re: /hik|walk|foot|pedestrian/i },
+    { label: 'Skiing / snowshoe',            color: '#0891b2', re: /ski|snowshoe/i }
+  ];
+  const TRAIL_SURFACE_STYLES = [
+    { label: 'Paved',             color: '#334155', re: /pave|asphalt|concrete/i },
+    { label: 'Gravel / stone dust', color: '#a16207', re: /gravel|stone|crushed|limestone|screening/i },
+    { label: 'Boardwalk',         color: '#7c3aed', re: /board|wood/i },
+    { label: 'Water',             color: '#2563eb', re: /water|river|lake/i, dashArray: '6,6' },
+    { label: 'Natural / earth',   color: '#15803d', re: /natural|earth|dirt|soil|grass|turf|sand|rock/i, dashArray: '4,4' }
+  ];
+  const TRAIL_OTHER_STYLE = { label: 'Other / unknown', color: '#94a3b8' };
+  let trailStyleMode = 'single';   // 'single' | 'use' | 'surface'
+
+  function trailProp(p, key) {
+    for (const f of OTN_FIELDS[key]) {
+      const v = p?.[f] ?? p?.[f.toLowerCase()];
+      if (v != null && String(v).trim() !== '') return String(v).trim();
+    }
+    return null;
+  }
+  function trailUses(p) {
+    const uses = (trailProp(p, 'uses') || '').split(/[,;/|]+/).map(s => s.trim()).filter(Boolean);
+    const isYes = v => /^(y|yes|true|1)$/i.test(String(v ?? '').trim());
+    OTN_USE_FLAGS.forEach(({ label, fields }) => {
+      if (fields.some(f => isYes(p?.[f] ?? p?.[f.toLowerCase()])) && !uses.includes(label)) uses.push(label);
+    });
+    return uses;
+  }
+  function trailCategory(p) {
+    if (trailStyleMode === 'use') {
+      const uses = trailUses(p).join(' ');
+      return TRAIL_USE_STYLES.find(s => s.re.test(uses)) || TRAIL_OTHER_STYLE;
+    }
+    const surface = trailProp(p, 'surface') || '';
+    return TRAIL_SURFACE_STYLES.find(s => s.re.test(surface)) || TRAIL_OTHER_STYLE;
+  }
+  function trailStyleFor(feat) {
+    // setStyle merges, so clear what the category modes may have set
+    if (trailStyleMode === 'single') return { ...trailsStyle, dashArray: null };
+    const s = trailCategory(feat?.properties || {});
+    return { ...trailsStyle, color: s.color, dashArray: s.dashArray || null };
+  }
+
+  function trailLengthM(geom) {
+    const lines = geom?.type === 'LineString' ? [geom.coordinates]
+      : geom?.type === 'MultiLineString' ? geom.coordinates : [];
+    let d = 0;
+    lines.forEach(c => { for (let i = 1; i < c.length; i++) d += distLL({ lat: c[i-1][1], lng: c[i-1][0] }, { lat: c[i][1], lng: c[i][0] }); });
+    return d;
+  }
+
+  function trailPopupContent(feat) {
+    const p = feat.properties || {};
+    const titleCaseKey = k => String(k).replace(/_/g, ' ').replace(/\b([a-z])/g, s => s.toUpperCase());
+    const formatVal = v => (v == null ? '—' : esc(typeof v === 'number' ? v.toLocaleString() : String(v)));
+    const uses = trailUses(p);
+    const surface = trailProp(p, 'surface');
+    const org = trailProp(p, 'org');
+
+    let html = `<div class="popup trail-popup"><h4>${esc(trailProp(p, 'name') || 'Trail segment')}</h4>`;
+    if (surface)     html += `<div><strong>Surface:</strong> ${formatVal(surface)}</div>`;
+    if (uses.length) html += `<div><strong>Permitted uses:</strong> ${formatVal(uses.join(', '))}</div>`;
+    if (org)         html += `<div><strong>Managed by:</strong> ${formatVal(org)}</div>`;
+    html += `<div><strong>Segment length:</strong> ${fmtDistance(trailLengthM(feat.geometry))}</div>`;
+
+    const keys = Object.keys(p).sort();
+    if (keys.length) {
+      html += `<details><summary>Details</summary><div style="max-height:160px;overflow:auto;"><table class="kv">`;
+      for (const k of keys) html += `<tr><th>${esc(titleCaseKey(k))}</th><td>${formatVal(p[k])}</td></tr>`;
+      html += `</table></div></details>`;
+    }
+    return html + `</div>`;
+  }
+
+  const trailsLayer = L.geoJSON(null, {
+    style: trailStyleFor,
+    onEachFeature: (feat, layer) => layer.bindPopup(() => trailPopupContent(feat), { maxWidth: 340 })
+  });
+
+  function renderTrailLegend() {
+    const el = document.getElementById('trailStyleLegend');
+    if (!el) return;
+    const styles = trailStyleMode === 'use' ? TRAIL_USE_STYLES
+      : trailStyleMode === 'surface' ? TRAIL_SURFACE_STYLES : [];
+    el.hidden = !styles.length;
+    el.innerHTML = [...styles, TRAIL_OTHER_STYLE].map(s =>
+      `<div><span class="legend-line${s.dashArray ? ' dashed' : ''}" style="--c:${s.color}"></span>${esc(s.label)}</div>`).join('');
+  }
+
+  function setTrailStyleMode(mode) {
+    trailStyleMode = ['use', 'surface'].includes(mode) ? mode : 'single';
+    trailsLayer.setStyle(trailStyleFor);
+    renderTrailLegend();
+  }
 
   (async function loadTrails() {
     try {
@@ -445,6 +683,81 @@ const runSearch = async (q, mySeq) => {
     showTrails.checked ? trailsLayer.addTo(map) : map.removeLayer(trailsLayer);
   });
 
+  // --- Find a trail by name (Search tab): highlight every segment ------------
+  const trailSearchInput   = document.getElementById('trailSearchInput');
+  const trailSearchResults = document.getElementById('trailSearchResults');
+  const trailHighlight     = L.layerGroup().addTo(map);
+  let trailNameIndex = null;   // { count, byName: Map(normName → { name, layers, lengthM }) }
+
+  function getTrailNameIndex() {
+    const count = trailsLayer.getLayers().length;
+    if (trailNameIndex?.count === count) return trailNameIndex;
+    const byName = new Map();
+    trailsLayer.eachLayer(layer => {
+      const name = trailProp(layer.feature?.properties, 'name');
+      if (!name) return;
+      const k = normSearch(name);
+      if (!byName.has(k)) byName.set(k, { name, layers: [], lengthM: 0 });
+      const entry = byName.get(k);
+      entry.layers.push(layer);
+      entry.lengthM += trailLengthM(layer.feature.geometry);
+    });
+    return (trailNameIndex = { count, byName });
+  }
+
+  function findTrails(q, limit = 20) {
+    const nq = normSearch(q);
+    if (!nq) return [];
+    const hits = [];
+    getTrailNameIndex().byName.forEach((entry, k) => {
+      const at = k.indexOf(nq);
+      if (at >= 0) hits.push({ entry, rank: at === 0 ? 0 : (k.includes(` ${nq}`) ? 1 : 2) });
+    });
+    return hits.sort((a, b) => a.rank - b.rank || a.entry.name.localeCompare(b.entry.name))
+      .slice(0, limit).map(h => h.entry);
+  }
+
+  function highlightTrail(entry) {
+    trailHighlight.clearLayers();
+    if (!entry) return;
+    if (showTrails && !showTrails.checked) {
+      showTrails.checked = true;
+      showTrails.dispatchEvent(new Event('change'));
+    }
+    entry.layers.forEach(l => L.geoJSON(l.feature, { style: { color: '#facc15', weight: 9, opacity: 0.75 }, interactive: false })
+      .addTo(trailHighlight).bringToBack());
+    const bounds = L.latLngBounds([]);
+    entry.layers.forEach(l => bounds.extend(l.getBounds()));
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [24, 24], maxZoom: 15 });
+  }
+
+  function renderTrailSearch() {
+    if (!trailSearchResults) return;
+    const q = (trailSearchInput?.value || '').trim();
+    if (q.length < 2) { trailSearchResults.innerHTML = ''; return; }
+    if (!trailsLayer.getLayers().length) {
+      trailSearchResults.innerHTML = `<div class="empty">Trail network isn’t loaded (OTN.geojson).</div>`;
+      return;
+    }
+    const hits = findTrails(q);
+    trailSearchResults.innerHTML = hits.length
+      ? hits.map(h => `<div class="item" role="option" data-trail="${esc(normSearch(h.name))}">
+          <b>${esc(h.name)}</b><div class="muted" style="font-size:.85rem;">${h.layers.length} segment(s) · ${fmtDistance(h.lengthM)}</div>
+        </div>`).join('')
+      : `<div class="empty">No trails match “${esc(q)}”.</div>`;
+  }
+
+  trailSearchInput?.addEventListener('input', renderTrailSearch);
+  trailSearchResults?.addEventListener('click', (e) => {
+    const k = e.target.closest('[data-trail]')?.dataset.trail;
+    if (k) highlightTrail(getTrailNameIndex().byName.get(k));
+  });
+  document.getElementById('trailHighlightClear')?.addEventListener('click', () => {
+    trailHighlight.clearLayers();
+    if (trailSearchInput) trailSearchInput.value = '';
+    renderTrailSearch();
+  });
+
 
   // ---------------------------------------------------------------------------
   // Imagery (toggle + opacity slider)
@@ -504,28 +817,65 @@ const runSearch = async (q, mySeq) => {
     const dy = (a.lat - b.lat);
     return Math.hypot(dx, dy) * 111320;
   }
-  function scoreCandidate(c, hintLL) {
-    const key = `${c.class}:${c.type}`;
-    let score = 0;
-    if (key === 'natural:water' || key === 'natural:lake' || key === 'water:lake' ||
-        key === 'water:reservoir' || key === 'waterway:riverbank') score += 3;
-    const dn = (c.display_name || '').toLowerCase();
-    if (dn.includes('lake') || dn.includes('lac')) score += 1;
-    if (hintLL) {
-      const d = Math.hypot(hintLL.lat - parseFloat(c.lat), hintLL.lng - parseFloat(c.lon)) * 111000;
-      if (d < 500) score += 3;
-      else if (d < 2000) score += 1;
-    }
+  // Same rules as geocode_lakes.mjs (its --max-distance default and scoring),
+  // so a live lookup lands where the offline dataset would have.
+  const GEOCODE_MAX_DISTANCE_M = 50_000;
+  const GEOCODE_WATER_TYPES = new Set([
+    'natural:water', 'natural:lake', 'water:lake', 'water:reservoir',
+    'waterway:riverbank', 'place:sea', 'boundary:protected_area'
+  ]);
+  function scoreCandidate(c, distM) {
+    let score = GEOCODE_WATER_TYPES.has(`${c.class}:${c.type}`) ? 2 : 0;
+    if (distM < 500) score += 2;
+    else if (distM < 2000) score += 1;
     return score;
   }
 
+  // Companion dataset from geocode_lakes.mjs: pre-matched polygons/bboxes keyed
+  // by nameCacheKey, so highlights work offline and skip Nominatim entirely.
+  let lakeIndexPromise = null;
+  function loadLakeIndex() {
+    if (lakeIndexPromise) return lakeIndexPromise;
+    lakeIndexPromise = fetchFirstJSON([
+      './Fish_Stocking_Data_lakes.geojson',
+      './data/Fish_Stocking_Data_lakes.geojson',
+      '/Fish_Stocking_Data_lakes.geojson',
+      '/data/Fish_Stocking_Data_lakes.geojson'
+    ]).then(gj => {
+      const index = new Map();
+      (gj.features || []).forEach(f => {
+        const p = f.properties || {};
+        if (!p.key) return;
+        index.set(p.key, {
+          class: p.class, type: p.type,
+          lat: +p.lat, lng: +p.lon,
+          display_name: p.display_name,
+          geojson: /Polygon$/.test(f.geometry?.type || '') ? f.geometry : null,
+          bbox: Array.isArray(p.boundingbox) ? p.boundingbox.map(Number) : null,
+          source: 'local'
+        });
+      });
+      return index;
+    }).catch(e => {
+      console.warn('Lake polygons not loaded (Fish_Stocking_Data_lakes.geojson).', e.message);
+      return new Map();
+    });
+    return lakeIndexPromise;
+  }
+
   async function geocodeLake(name, hintLL) {
     // cache per (name + ~origin) to avoid cross-lake bleed
-    const key = `${String(name).trim().toLowerCase()}@@${
-      hintLL ? `${hintLL.lat.toFixed(4)},${hintLL.lng.toFixed(4)}` : 'none'
-    }`;
+    const key = nameCacheKey(name, hintLL);
     if (geocodeCache.has(key)) return geocodeCache.get(key);
 
+    // Shipped dataset first, then matches saved from earlier sessions
+    const local = (await loadLakeIndex()).get(key);
+    if (local) { geocodeCache.set(key, local); return local; }
+    try {
+      const saved = await idbGet('geocodes', key);
+      if (saved?.candidate) { geocodeCache.set(key, saved.candidate); return saved.candidate; }
+    } catch (_) { /* IndexedDB unavailable: fall through to live lookup */ }
+
     const q = `${name}, Ontario, Canada`;
     const params = new URLSearchParams({
       format: 'jsonv2',
@@ -555,11 +905,11 @@ const runSearch = async (q, mySeq) => {
     if (hintLL && Array.isArray(arr)) {
       arr = arr.filter(c => metersBetween(
         hintLL, { lat: +c.lat, lng: +c.lon }
-      ) <= 50_000);
+      ) <= GEOCODE_MAX_DISTANCE_M);
     }
     if (!arr || arr.length === 0) { geocodeCache.set(key, null); return null; }
 
-    // Choose the closest (after filtering), keep bbox for fallback highlight
+    // Best score (water type, proximity), closest among ties; keep bbox for fallback highlight
     const best = arr.map(c => ({
       class: c.class,
       type: c.type,
@@ -569,9 +919,11 @@ const runSearch = async (q, mySeq) => {
       geojson: c.geojson || null,
       bbox: Array.isArray(c.boundingbox) ? c.boundingbox.map(Number) : null,
       _d: hintLL ? metersBetween(hintLL, { lat: +c.lat, lng: +c.lon }) : Infinity
-    })).sort((a,b) => a._d - b._d)[0];
+    })).map(c => ({ ...c, _score: scoreCandidate(c, c._d) }))
+      .sort((a,b) => b._score - a._score || a._d - b._d)[0];
 
     geocodeCache.set(key, best || null);
+    if (best) idbPut('geocodes', { key, candidate: best, savedAt: Date.now() }).catch(() => {});
     return best || null;
   }
 
@@ -618,48 +970,113 @@ const runSearch = async (q, mySeq) => {
     if (hl) pulseLayer(hl);
   }
 
-  const stockedStyle = { radius: 5, color: '#0a7', fillColor: 'rgba(170, 0, 68, 1)', fillOpacity: 0.9 };
-  const stockedLayer = L.geoJSON(null, {
-    pointToLayer: (feat, latlng) => L.circleMarker(latlng, stockedStyle),
-    onEachFeature: (feat, layer) => {
-      const p = feat.properties || {};
-      const titleCaseKey = k => String(k).replace(/_/g, ' ').replace(/\b([a-z])/g, s => s.toUpperCase());
-      const formatVal = v => (v == null ? '—' : (typeof v === 'number' ? v.toLocaleString() : String(v)));
-
-      const waterbody =
-        p.Official_Waterbody_Name ||
-        p.OFFICIAL_WATERBODY_NAME ||
-        p.Official_French_Waterbody_Name ||
-        p.Unoffcial_Waterbody_Name ||
-        p.WATERBODY || p.LAKE_NAME || p.LAKE || p.WATER_BODY ||
-        'Stocked Lake';
-
-      const species = p.SPECIES || p.SPECIES_NAME || p.FISH_SPECIES || null;
-      const year    = p.YEAR || p.STOCK_YEAR || null;
-      const qty     = p.QUANTITY || p.QTY || p.NUM_STOCKED || null;
-
-      layer.bindTooltip(waterbody, { direction: 'top', offset: [0, -6] });
-
-      let html = `<div style="min-width:220px">
-        <div style="font-weight:700;margin-bottom:6px">${waterbody}</div>`;
-      if (species) html += `<div><b>Species:</b> ${formatVal(species)}</div>`;
-      if (year)    html += `<div><b>Year:</b> ${formatVal(year)}</div>`;
-      if (qty)     html += `<div><b>Quantity:</b> ${formatVal(qty)}</div>`;
-
-      const skip = new Set([
-        'Official_Waterbody_Name',
-        'OFFICIAL_WATERBODY_NAME',
-        'Unoffcial_Waterbody_Name',
-        'WATERBODY','LAKE_NAME','LAKE','WATER_BODY',
-        'SPECIES','SPECIES_NAME','FISH_SPECIES','YEAR','STOCK_YEAR','QUANTITY','QTY','NUM_STOCKED'
-      ]);
+  function stockedWaterbodyName(p = {}) {
+    return p.Official_Waterbody_Name ||
+      p.OFFICIAL_WATERBODY_NAME ||
+      p.Official_French_Waterbody_Name ||
+      p.Unoffcial_Waterbody_Name ||
+      p.WATERBODY || p.LAKE_NAME || p.LAKE || p.WATER_BODY ||
+      'Stocked Lake';
+  }
+
+  // One stocking record → { year, species, stage, qty }
+  function stockedEvent(p = {}) {
+    const year = Number(p.Stocking_Year ?? p.STOCKING_YEAR ?? p.YEAR ?? p.STOCK_YEAR ?? p.Year);
+    const qty  = Number(String(p.Number_of_Fish_Stocked ?? p.NUMBER_OF_FISH_STOCKED ?? p.QUANTITY ?? p.QTY ?? p.NUM_STOCKED ?? '').replace(/,/g, ''));
+    return {
+      year: Number.isFinite(year) && year > 0 ? year : null,
+      species: String(p.Species ?? p.SPECIES ?? p.SPECIES_NAME ?? p.FISH_SPECIES ?? p.Species_Name ?? '').trim() || 'Unknown species',
+      stage: String(p.Developmental_Stage ?? p.DEVELOPMENTAL_STAGE ?? p.STAGE ?? '').trim() || null,
+      qty: Number.isFinite(qty) && qty > 0 ? qty : 0
+    };
+  }
+
+  // The source has one point per stocking event; markers are one per waterbody.
+  // Events group by location id when the export has one, else by name + ~1 km cell.
+  function aggregateStocked(features) {
+    const groups = new Map();
+    features.forEach(f => {
+      const [lng, lat] = f.geometry?.coordinates || [];
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+      const p = f.properties || {};
+      const name = stockedWaterbodyName(p);
+      const lid = p.Waterbody_Location_Identifier || p.WATERBODY_LOCATION_IDENTIFIER || p.WBY_LID;
+      const key = lid ? `lid:${lid}` : `${name.toLowerCase()}@${lat.toFixed(2)},${lng.toFixed(2)}`;
+      if (!groups.has(key)) groups.set(key, { name, lat, lng, props: p, events: [] });
+      groups.get(key).events.push(stockedEvent(p));
+    });
+    return {
+      type: 'FeatureCollection',
+      features: [...groups.values()].map(g => {
+        const years = g.events.map(e => e.year).filter(Boolean);
+        g.events.sort((a, b) => (b.year || 0) - (a.year || 0) || a.species.localeCompare(b.species));
+        return {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [g.lng, g.lat] },
+          properties: {
+            WATERBODY: g.name,
+            township: g.props.Geographic_Township || g.props.GEOGRAPHIC_TOWNSHIP || null,
+            district: g.props.MNRF_District || g.props.MNR_DISTRICT || null,
+            events: g.events,
+            totalFish: g.events.reduce((n, e) => n + e.qty, 0),
+            firstYear: years.length ? Math.min(...years) : null,
+            lastYear: years.length ? Math.max(...years) : null
+          }
+        };
+      })
+    };
+  }
+
+  // Marker symbology: 'recency' colours by years since last stocked (relative to
+  // the newest year in the data), 'volume' sizes by total fish stocked.
+  const STOCKED_RECENCY_STYLES = [
+    { maxAge: 0,        color: '#aa0044', label: yr => `Stocked in ${yr}` },
+    { maxAge: 2,        color: '#d9467a', label: yr => `${yr - 2}–${yr - 1}` },
+    { maxAge: 5,        color: '#f29bb5', label: yr => `${yr - 5}–${yr - 3}` },
+    { maxAge: Infinity, color: '#cbd5e1', label: yr => `Before ${yr - 5}` }
+  ];
+  const stockedStyle = { radius: 6, color: '#0a7', weight: 1.5, fillColor: 'rgba(170, 0, 68, 1)', fillOpacity: 0.9 };
+  let stockedStyleMode = 'recency';   // 'recency' | 'volume'
+  let stockedLatestYear = null;
+
+  function stockedStyleFor(p = {}) {
+    if (stockedStyleMode === 'volume') {
+      const r = 4 + Math.max(0, Math.log10(p.totalFish + 1) - 2) * 2.5;   // 100 fish → 4 px, 1M → 14 px
+      return { ...stockedStyle, radius: Math.min(16, r) };
+    }
+    const age = (stockedLatestYear && p.lastYear) ? stockedLatestYear - p.lastYear : Infinity;
+    return { ...stockedStyle, fillColor: STOCKED_RECENCY_STYLES.find(s => age <= s.maxAge).color };
+  }
 
-      const rows = Object.keys(p).filter(k => !skip.has(k)).sort()
-        .map(k => `<tr><td style="padding:2px 6px 2px 0;color:#335075;white-space:nowrap">${titleCaseKey(k)}</td><td style="padding:2px 0">${formatVal(p[k])}</td></tr>`).join('');
-      if (rows) html += `<div style="max-height:180px;overflow:auto;border-top:1px solid #e8edf3;padding-top:6px"><table style="font-size:12px;border-collapse:collapse">${rows}</table></div>`;
+  function stockedPopupContent(p) {
+    const fmt = n => Number(n).toLocaleString();
+    const span = p.firstYear ? (p.firstYear === p.lastYear ? `${p.firstYear}` : `${p.firstYear}–${p.lastYear}`) : 'year unknown';
+    let html = `<div class="popup stocked-popup"><h4>${esc(p.WATERBODY)}</h4>`;
+    const where = [p.township, p.district].filter(Boolean).join(' · ');
+    if (where) html += `<div class="muted">${esc(where)}</div>`;
+    html += `<div><strong>${p.events.length}</strong> stocking event(s), ${esc(span)} · <strong>${fmt(p.totalFish)}</strong> fish</div>`;
+
+    const bySpecies = new Map();
+    p.events.forEach(e => bySpecies.set(e.species, (bySpecies.get(e.species) || 0) + e.qty));
+    html += `<table class="kv stocked-totals">${[...bySpecies].sort((a, b) => b[1] - a[1])
+      .map(([sp, n]) => `<tr><th>${esc(sp)}</th><td>${fmt(n)}</td></tr>`).join('')}</table>`;
+
+    html += `<details${p.events.length <= 8 ? ' open' : ''}><summary>History</summary>
+      <div style="max-height:180px;overflow:auto;"><table class="stocked-history">
+        <thead><tr><th>Year</th><th>Species</th><th>Stage</th><th>Fish</th></tr></thead><tbody>`;
+    p.events.forEach(e => {
+      html += `<tr><td>${e.year ?? '—'}</td><td>${esc(e.species)}</td><td>${esc(e.stage || '—')}</td><td>${e.qty ? fmt(e.qty) : '—'}</td></tr>`;
+    });
+    html += `</tbody></table></div></details></div>`;
+    return html;
+  }
 
-      html += `</div>`;
-      layer.bindPopup(html);
+  const stockedLayer = L.geoJSON(null, {
+    pointToLayer: (feat, latlng) => L.circleMarker(latlng, stockedStyleFor(feat.properties)),
+    onEachFeature: (feat, layer) => {
+      const waterbody = stockedWaterbodyName(feat.properties);
+      layer.bindTooltip(esc(waterbody), { direction: 'top', offset: [0, -6] });
+      layer.bindPopup(() => stockedPopupContent(feat.properties), { maxWidth: 340 });
 
       // On click → geocode by name, cache (per location), highlight polygon/bbox/point, zoom + pulse
       layer.on('click', async () => {
@@ -675,6 +1092,15 @@ const runSearch = async (q, mySeq) => {
     }
   });
   let stockedLoaded = false;
+  let stockedData = null;   // raw per-event FeatureCollection
+  function rebuildStockedLayer() {
+    const feats = (stockedData?.features || []).filter(f => stockedEventPasses(stockedEvent(f.properties)));
+    stockedLayer.clearLayers();
+    stockedLayer.addData(aggregateStocked(feats));
+    localIndex = null;   // search hits point at the markers just replaced
+    refreshPointLayer('stocked');
+    updateStockedFilters();
+  }
   async function ensureStockedLoaded() {
     if (stockedLoaded) return;
     try {
@@ -684,16 +1110,177 @@ const runSearch = async (q, mySeq) => {
         '/Fish_Stocking_Data.geojson',
         '/data/Fish_Stocking_Data.geojson'
       ]);
-      stockedLayer.addData(gj);
+      stockedData = gj;
+      loadLakeIndex();   // warm (and let the service worker cache) the offline lake polygons
+      restoreStockedFilter();
+      // reduce, not Math.max(...): one argument per event can exceed the engine's limit
+      stockedLatestYear = (gj.features || []).reduce((max, f) => Math.max(max, stockedEvent(f.properties).year || 0), 0) || null;
+      renderStockedLegend();
+      rebuildStockedLayer();
+      buildStockedFilters();
       stockedLoaded = true;
     } catch (e) {
       console.warn('Stocked lakes not loaded (Fish_Stocking_Data.geojson).', e.message);
     }
   }
+
+  function renderStockedLegend() {
+    const el = document.getElementById('stockedLegend');
+    if (!el) return;
+    if (stockedStyleMode === 'volume') {
+      el.innerHTML = [100, 10000, 1000000].map(n => {
+        const r = stockedStyleFor({ totalFish: n }).radius;
+        return `<div><span class="legend-stocked" style="width:${r * 2}px;height:${r * 2}px;--c:${stockedStyle.fillColor}"></span>${n.toLocaleString()} fish</div>`;
+      }).join('');
+    } else {
+      const yr = stockedLatestYear;
+      el.innerHTML = yr
+        ? STOCKED_RECENCY_STYLES.map(s => `<div><span class="legend-stocked" style="--c:${s.color}"></span>${s.label(yr)}</div>`).join('')
+        : `<div class="muted">Stocked lakes: colour shows years since last stocking</div>`;
+    }
+  }
+
+  function setStockedStyleMode(mode) {
+    stockedStyleMode = mode === 'volume' ? 'volume' : 'recency';
+    stockedLayer.eachLayer(l => l.setStyle?.(stockedStyleFor(l.feature?.properties)));
+    renderStockedLegend();
+  }
+
+  // ---- Stocked filter panel (species, year range, minimum fish) ------------
+  // Filters act on individual stocking events; a waterbody is shown while any
+  // of its events pass, and its popup/totals only count the passing ones.
+  const STOCKED_FILTER_KEY = 'flt:stocked'; // settings key: { species: [hidden], yearMin, yearMax, minQty }
+  let stockedFilter = { species: [], yearMin: null, yearMax: null, minQty: 0 };
+  let stockedYearBounds = null;             // [first, last] year in the data
+  let stockedLakeTotal = 0;                 // waterbodies with no filter applied
+
+  const stockedSpeciesEl      = document.getElementById('stockedSpeciesFilter');
+  const stockedYearMinEl      = document.getElementById('stockedYearMin');
+  const stockedYearMaxEl      = document.getElementById('stockedYearMax');
+  const stockedYearLabelEl    = document.getElementById('stockedYearLabel');
+  const stockedMinQtyEl       = document.getElementById('stockedMinQty');
+  const stockedFilterCountEl  = document.getElementById('stockedFilterCount');
+  const stockedFilterReset    = document.getElementById('stockedFilterReset');
+
+  function restoreStockedFilter() {
+    const saved = _settings[STOCKED_FILTER_KEY];
+    stockedFilter = { species: [], yearMin: null, yearMax: null, minQty: 0, ...(saved && typeof saved === 'object' ? saved : {}) };
+  }
+
+  // skipSpecies lets the species counts ignore their own selection
+  function stockedEventPasses(e, skipSpecies) {
+    const { species, yearMin, yearMax, minQty } = stockedFilter;
+    if (!skipSpecies && species.includes(e.species)) return false;
+    if (yearMin != null && (e.year == null || e.year < yearMin)) return false;
+    if (yearMax != null && (e.year == null || e.year > yearMax)) return false;
+    if (minQty > 0 && e.qty < minQty) return false;
+    return true;
+  }
+
+  function buildStockedFilters() {
+    if (!stockedData) return;
+    const events = (stockedData.features || []).map(f => stockedEvent(f.properties));
+    // one pass rather than Math.min(...years): the event list can exceed the argument limit
+    stockedYearBounds = events.reduce((b, e) => (!e.year ? b
+      : b ? [Math.min(b[0], e.year), Math.max(b[1], e.year)] : [e.year, e.year]), null);
+    stockedLakeTotal = aggregateStocked(stockedData.features || []).features.length;
+    [stockedYearMinEl, stockedYearMaxEl].forEach(el => {
+      if (!el) return;
+      el.disabled = !stockedYearBounds;
+      if (!stockedYearBounds) return;
+      el.min = String(stockedYearBounds[0]);
+      el.max = String(stockedYearBounds[1]);
+    });
+    if (stockedMinQtyEl) stockedMinQtyEl.value = stockedFilter.minQty ? String(stockedFilter.minQty) : '';
+
+    if (stockedSpeciesEl) {
+      const totals = new Map();
+      events.forEach(e => totals.set(e.species, (totals.get(e.species) || 0) + 1));
+      const values = [...totals.keys()].sort((a, b) => totals.get(b) - totals.get(a));
+      stockedSpeciesEl.innerHTML = `<details class="facet" open><summary>Species</summary>${values.map(v => `
+        <label><input type="checkbox" data-species value="${esc(v)}">
+          <span class="facet-name">${esc(v)}</span><span class="facet-count" data-count></span></label>`).join('')}</details>`;
+    }
+    updateStockedFilters();
+  }
+
+  function updateStockedFilters() {
+    if (!stockedData) return;
+    const events = (stockedData.features || []).map(f => stockedEvent(f.properties));
+    if (stockedSpeciesEl) {
+      const counts = new Map();
+      events.forEach(e => { if (stockedEventPasses(e, true)) counts.set(e.species, (counts.get(e.species) || 0) + 1); });
+      stockedSpeciesEl.querySelectorAll('input[data-species]').forEach(ck => {
+        ck.checked = !stockedFilter.species.includes(ck.value);
+        const n = ck.parentElement.querySelector('[data-count]');
+        if (n) n.textContent = (counts.get(ck.value) || 0).toLocaleString();
+      });
+    }
+    if (stockedYearBounds) {
+      const lo = stockedFilter.yearMin ?? stockedYearBounds[0];
+      const hi = stockedFilter.yearMax ?? stockedYearBounds[1];
+      if (stockedYearMinEl) stockedYearMinEl.value = String(lo);
+      if (stockedYearMaxEl) stockedYearMaxEl.value = String(hi);
+      if (stockedYearLabelEl) stockedYearLabelEl.textContent = lo === hi ? `${lo}` : `${lo}–${hi}`;
+    }
+    if (stockedFilterCountEl) {
+      const lakes = stockedLayer.getLayers().length;
+      const shownEvents = events.filter(e => stockedEventPasses(e)).length;
+      stockedFilterCountEl.textContent =
+        `Showing ${lakes.toLocaleString()} of ${stockedLakeTotal.toLocaleString()} lakes (${shownEvents.toLocaleString()} events)`;
+    }
+  }
+
+  function applyStockedFilter() {
+    if (!stockedData) return;
+    rebuildStockedLayer();
+    setSetting(STOCKED_FILTER_KEY, stockedFilter);
+  }
+  // sliders and typing fire rapidly; re-aggregating thousands of events each time is wasteful
+  const applyStockedFilterSoon = debounce(applyStockedFilter, 150);
+
+  stockedSpeciesEl?.addEventListener('change', (e) => {
+    const ck = e.target.closest('input[data-species]');
+    if (!ck) return;
+    const hidden = new Set(stockedFilter.species);
+    ck.checked ? hidden.delete(ck.value) : hidden.add(ck.value);
+    stockedFilter = { ...stockedFilter, species: [...hidden] };
+    applyStockedFilter();
+  });
+
+  function onStockedYearInput(e) {
+    if (!stockedYearBounds) return;
+    let lo = Number(stockedYearMinEl.value), hi = Number(stockedYearMaxEl.value);
+    // keep the thumbs from crossing: the one being dragged pushes the other
+    if (lo > hi) { if (e.target === stockedYearMinEl) hi = lo; else lo = hi; }
+    // a thumb at the end of the data stays open-ended so newer data is included
+    stockedFilter = {
+      ...stockedFilter,
+      yearMin: lo <= stockedYearBounds[0] ? null : lo,
+      yearMax: hi >= stockedYearBounds[1] ? null : hi
+    };
+    updateStockedFilters();
+    applyStockedFilterSoon();
+  }
+  stockedYearMinEl?.addEventListener('input', onStockedYearInput);
+  stockedYearMaxEl?.addEventListener('input', onStockedYearInput);
+
+  stockedMinQtyEl?.addEventListener('input', () => {
+    const n = Number(stockedMinQtyEl.value);
+    stockedFilter = { ...stockedFilter, minQty: Number.isFinite(n) && n > 0 ? n : 0 };
+    applyStockedFilterSoon();
+  });
+
+  stockedFilterReset?.addEventListener('click', () => {
+    stockedFilter = { species: [], yearMin: null, yearMax: null, minQty: 0 };
+    if (stockedMinQtyEl) stockedMinQtyEl.value = '';
+    applyStockedFilter();
+  });
+
   async function toggleStocked() {
     if (!showStocked) return;
-    if (showStocked.checked) { await ensureStockedLoaded(); if (stockedLoaded) stockedLayer.addTo(map); else showStocked.checked = false; }
-    else { map.removeLayer(stockedLayer); }
+    if (showStocked.checked) { await ensureStockedLoaded(); if (stockedLoaded) setPointLayerVisible('stocked', true); else showStocked.checked = false; }
+    else { setPointLayerVisible('stocked', false); }
   }
   showStocked?.addEventListener('change', toggleStocked);
 
@@ -701,19 +1288,85 @@ const runSearch = async (q, mySeq) => {
   // ---------------------------------------------------------------------------
   // Access Points (Fishing_Access_Point.geojson)
   // ---------------------------------------------------------------------------
-  const accessStyle = { radius: 5, color: '#b85', fillColor: '#f8a55e', fillOpacity: 0.95 };
+  // Symbology table — drives both the map icons and the Legend entries.
+  // Type → glyph/colours; MATERIAL_TYPE → ring colour (ramp surface);
+  // VISIBILITY_IND = No → faded, dashed outline.
+  const ACCESS_TYPE_STYLES = {
+    'Boat Launch':               { glyph: '🚤', color: '#1d4ed8', fill: '#dbeafe' },
+    'Shoreline Access':          { glyph: '🎣', color: '#b45309', fill: '#fde7c7' },
+    'Enhanced Shoreline Access': { glyph: '⚓', color: '#047857', fill: '#d1fae5' }
+  };
+  const ACCESS_DEFAULT_STYLE = { glyph: '•', color: '#bb8855', fill: '#f8a55e' };
+  const ACCESS_MATERIAL_STYLES = {
+    'Concrete': { ring: '#475569', label: 'Concrete ramp' },
+    'Gravel':   { ring: '#ca8a04', label: 'Gravel ramp' },
+    'Natural':  { ring: '#65a30d', label: 'Natural ramp' },
+    'Other':    { ring: '#9333ea', label: 'Other surface' }
+  };
+  const ACCESS_UNLISTED_LABEL = 'Unlisted site (visibility: No)';
+
+  function accessIconHtml(type, material, unlisted) {
+    const st = ACCESS_TYPE_STYLES[type] || ACCESS_DEFAULT_STYLE;
+    const ring = ACCESS_MATERIAL_STYLES[material]?.ring || 'transparent';
+    return `<span class="access-icon${unlisted ? ' unlisted' : ''}"
+      style="--c:${st.color};--f:${st.fill};--r:${ring}">${st.glyph}</span>`;
+  }
+
+  // One divIcon per type/material/visibility combination (thousands of markers share them)
+  const accessIconCache = new Map();
+  function accessIconFor(p = {}) {
+    const type = p.FISHING_ACCESS_POINT_TYPE || '';
+    const material = p.MATERIAL_TYPE || '';
+    const unlisted = String(p.VISIBILITY_IND || '').toLowerCase() === 'no';
+    const key = `${type}|${material}|${unlisted}`;
+    if (!accessIconCache.has(key)) {
+      accessIconCache.set(key, L.divIcon({
+        className: 'access-marker',
+        html: accessIconHtml(type, material, unlisted),
+        iconSize: [22, 22],
+        iconAnchor: [11, 11],
+        popupAnchor: [0, -10],
+        tooltipAnchor: [0, -10]
+      }));
+    }
+    return accessIconCache.get(key);
+  }
+
+  (function renderAccessLegend() {
+    const el = document.getElementById('accessLegend');
+    if (!el) return;
+    const rows = Object.entries(ACCESS_TYPE_STYLES).map(([type]) =>
+      `<div>${accessIconHtml(type, '', false)}${esc(type)}</div>`);
+    Object.entries(ACCESS_MATERIAL_STYLES).forEach(([material, m]) =>
+      rows.push(`<div>${accessIconHtml('', material, false)}${esc(m.label)}</div>`));
+    rows.push(`<div>${accessIconHtml('', '', true)}${esc(ACCESS_UNLISTED_LABEL)}</div>`);
+    el.innerHTML = rows.join('');
+  })();
+
+  function accessName(p = {}, fallback = 'Access Point') {
+    return p.NAME || p.SITE_NAME || p.ACCESS_POINT_NAME || p.LOCATION_NAME || fallback;
+  }
+  // For lists: many sites have no SITE_NAME, so say what kind they are
+  function accessListName(p = {}) {
+    return accessName(p, `Unnamed ${(p.FISHING_ACCESS_POINT_TYPE || 'access point').toLowerCase()}`);
+  }
+
   function accessPopupContent(p = {}) {
     const titleCaseKey = k => String(k).replace(/_/g, ' ').replace(/\b([a-z])/g, s => s.toUpperCase());
     const formatVal = v => (v == null ? '—' : (typeof v === 'number' ? v.toLocaleString() : String(v)));
-    const name   = p.NAME || p.SITE_NAME || p.ACCESS_POINT_NAME || p.LOCATION_NAME || 'Access Point';
+    const name   = accessName(p);
     const water  = p.WATERBODY || p.WATER_BODY || p.LAKE || p.OFFICIAL_WATERBODY_NAME || null;
-    const type   = p.TYPE || p.ACCESS_TYPE || p.FEATURE_TYPE || p.FACILITY_TYPE || null;
+    const type   = p.FISHING_ACCESS_POINT_TYPE || p.TYPE || p.ACCESS_TYPE || p.FEATURE_TYPE || p.FACILITY_TYPE || null;
     const launch = p.LAUNCH_TYPE || p.BOAT_LAUNCH || p.RAMP_TYPE || null;
+    const surface = (p.MATERIAL_TYPE && p.MATERIAL_TYPE !== 'Unknown') ? p.MATERIAL_TYPE : null;
+    const unlisted = String(p.VISIBILITY_IND || '').toLowerCase() === 'no';
 
     let html = `<div class="popup access-popup"><h4>${name}</h4>`;
     if (water)  html += `<div><strong>Waterbody:</strong> ${formatVal(water)}</div>`;
     if (type)   html += `<div><strong>Type:</strong> ${formatVal(type)}</div>`;
     if (launch) html += `<div><strong>Launch:</strong> ${formatVal(launch)}</div>`;
+    if (surface) html += `<div><strong>Surface:</strong> ${formatVal(surface)}</div>`;
+    if (unlisted) html += `<div><em>${ACCESS_UNLISTED_LABEL}</em></div>`;
 
     const keys = Object.keys(p || {}).sort();
     if (keys.length) {
@@ -724,8 +1377,37 @@ const runSearch = async (q, mySeq) => {
     html += `</div>`;
     return html;
   }
+
+  // Attribute facets for the Layers-tab filter panel (field → label).
+  // Within a facet values are OR'd; across facets they are AND'd.
+  const ACCESS_FACETS = [
+    { field: 'FISHING_ACCESS_POINT_TYPE', label: 'Type' },
+    { field: 'PARKING_PRESENCE_FLG',      label: 'Parking' },
+    { field: 'USER_FEE_FLG',              label: 'User fee' },
+    { field: 'ACCESSIBILITY_FLG',         label: 'Accessible' },
+    { field: 'SITE_OWNERSHIP_TYPE',       label: 'Ownership' }
+  ];
+  const ACCESS_FILTER_KEY = 'flt:access'; // settings key: { field: [hidden values] }
+  let accessData = null;                  // raw FeatureCollection, re-filtered on change
+  let accessExcluded = {};
+
+  function facetValue(p, field) {
+    const v = p?.[field];
+    return (v == null || String(v).trim() === '') ? 'Unknown' : String(v).trim();
+  }
+  // skipField lets facet counts ignore their own selection
+  function accessPasses(p, skipField) {
+    for (const { field } of ACCESS_FACETS) {
+      if (field === skipField) continue;
+      const hidden = accessExcluded[field];
+      if (hidden?.length && hidden.includes(facetValue(p, field))) return false;
+    }
+    return true;
+  }
+
   const accessLayer = L.geoJSON(null, {
-    pointToLayer: (feat, latlng) => L.circleMarker(latlng, accessStyle),
+    filter: (feat) => accessPasses(feat.properties || {}),
+    pointToLayer: (feat, latlng) => L.marker(latlng, { icon: accessIconFor(feat.properties) }),
     onEachFeature: (feat, layer) => {
       layer.bindPopup(accessPopupContent(feat.properties || {}), { maxWidth: 340 });
     }
@@ -740,20 +1422,195 @@ const runSearch = async (q, mySeq) => {
         '/Fishing_Access_Point.geojson',
         '/data/Fishing_Access_Point.geojson'
       ]);
+      accessData = gj;
+      restoreAccessFilter();
       accessLayer.addData(gj);
       accessLoaded = true;
+      buildAccessFacets();
     } catch (e) {
       console.warn('Access points not loaded (Fishing_Access_Point.geojson).', e.message);
     }
   }
+
+  // ---- Access filter panel (facet checkboxes with live counts) --------------
+  const accessFiltersEl     = document.getElementById('accessFilters');
+  const accessFilterCountEl = document.getElementById('accessFilterCount');
+  const accessFilterReset   = document.getElementById('accessFilterReset');
+
+  function restoreAccessFilter() {
+    const saved = _settings[ACCESS_FILTER_KEY];
+    accessExcluded = (saved && typeof saved === 'object') ? saved : {};
+  }
+
+  function buildAccessFacets() {
+    if (!accessFiltersEl || !accessData) return;
+    const feats = accessData.features || [];
+    accessFiltersEl.innerHTML = ACCESS_FACETS.map(({ field, label }) => {
+      // every value present in the dataset, most common first
+      const totals = new Map();
+      feats.forEach(f => {
+        const v = facetValue(f.properties, field);
+        totals.set(v, (totals.get(v) || 0) + 1);
+      });
+      const values = [...totals.keys()].sort((a, b) => totals.get(b) - totals.get(a));
+      const rows = values.map(v => `
+        <label><input type="checkbox" data-field="${esc(field)}" value="${esc(v)}">
+          <span class="facet-name">${esc(v)}</span><span class="facet-count" data-count></span></label>`).join('');
+      return `<details class="facet" open><summary>${esc(label)}</summary>${rows}</details>`;
+    }).join('');
+    updateAccessFacets();
+  }
+
+  function updateAccessFacets() {
+    if (!accessFiltersEl || !accessData) return;
+    const feats = accessData.features || [];
+    ACCESS_FACETS.forEach(({ field }) => {
+      const counts = new Map();
+      feats.forEach(f => {
+        const p = f.properties || {};
+        if (!accessPasses(p, field)) return;
+        const v = facetValue(p, field);
+        counts.set(v, (counts.get(v) || 0) + 1);
+      });
+      accessFiltersEl.querySelectorAll('input[data-field]').forEach(ck => {
+        if (ck.dataset.field !== field) return;
+        ck.checked = !(accessExcluded[field] || []).includes(ck.value);
+        const n = ck.parentElement.querySelector('[data-count]');
+        if (n) n.textContent = (counts.get(ck.value) || 0).toLocaleString();
+      });
+    });
+    if (accessFilterCountEl) {
+      const shown = feats.filter(f => accessPasses(f.properties || {})).length;
+      accessFilterCountEl.textContent = `Showing ${shown.toLocaleString()} of ${feats.length.toLocaleString()} sites`;
+    }
+  }
+
+  function applyAccessFilter() {
+    if (!accessData) return;
+    accessLayer.clearLayers();
+    accessLayer.addData(accessData);
+    refreshPointLayer('access');
+    updateAccessFacets();
+    setSetting(ACCESS_FILTER_KEY, accessExcluded);
+  }
+
+  accessFiltersEl?.addEventListener('change', (e) => {
+    const ck = e.target.closest('input[data-field]');
+    if (!ck) return;
+    const field = ck.dataset.field;
+    const hidden = new Set(accessExcluded[field] || []);
+    ck.checked ? hidden.delete(ck.value) : hidden.add(ck.value);
+    accessExcluded = { ...accessExcluded, [field]: [...hidden] };
+    applyAccessFilter();
+  });
+
+  accessFilterReset?.addEventListener('click', () => {
+    accessExcluded = {};
+    applyAccessFilter();
+  });
   async function toggleAccess() {
     if (!showAccess) return;
-    if (showAccess.checked) { await ensureAccessLoaded(); if (accessLoaded) accessLayer.addTo(map); else showAccess.checked = false; }
-    else { map.removeLayer(accessLayer); }
+    if (showAccess.checked) { await ensureAccessLoaded(); if (accessLoaded) setPointLayerVisible('access', true); else showAccess.checked = false; }
+    else { setPointLayerVisible('access', false); }
   }
   showAccess?.addEventListener('change', toggleAccess);
 
 
+  // ---------------------------------------------------------------------------
+  // Point clustering (Stocked Lakes + Access Points) via Leaflet.markercluster
+  // The GeoJSON layers stay the source of truth; when clustering is on their
+  // child markers are mirrored into a cluster group that goes on the map instead.
+  // ---------------------------------------------------------------------------
+  const CLUSTER_RADIUS_PX = 60;           // aggregate markers within this screen distance
+  const CLUSTER_BREAK_ZOOM_DEFAULT = 12;  // individual markers from this zoom up
+  const clusterPointsCk   = document.getElementById('clusterPoints');
+  const clusterZoomInput  = document.getElementById('clusterBreakZoom');
+  const clusterZoomVal    = document.getElementById('clusterBreakZoomVal');
+
+  const clusterState = {
+    on: !!L.markerClusterGroup && (clusterPointsCk ? clusterPointsCk.checked : true),
+    breakZoom: CLUSTER_BREAK_ZOOM_DEFAULT
+  };
+  // loading: a chunked cluster add is still running; onLoaded runs when it ends
+  const pointLayers = {
+    stocked: { source: stockedLayer, cluster: null, visible: false, loading: false, onLoaded: [] },
+    access:  { source: accessLayer,  cluster: null, visible: false, loading: false, onLoaded: [] }
+  };
+
+  function makeClusterGroup(kind) {
+    return L.markerClusterGroup({
+      maxClusterRadius: CLUSTER_RADIUS_PX,
+      disableClusteringAtZoom: clusterState.breakZoom,
+      showCoverageOnHover: false,
+      spiderfyOnMaxZoom: true,
+      zoomToBoundsOnClick: true,
+      chunkedLoading: true,
+      // the last chunk reports done === total; clusters are drawn right after
+      chunkProgress: (done, total) => { if (done >= total) setTimeout(() => clusterLoaded(kind)); },
+      iconCreateFunction: (c) => {
+        const n = c.getChildCount();
+        const size = n >= 1000 ? 44 : n >= 100 ? 38 : 32;
+        return L.divIcon({
+          className: `point-cluster point-cluster-${kind}`,
+          html: `<span>${n.toLocaleString()}</span>`,
+          iconSize: [size, size]
+        });
+      }
+    });
+  }
+
+  function clusterLoaded(kind) {
+    const entry = pointLayers[kind];
+    entry.loading = false;
+    entry.onLoaded.splice(0).forEach(fn => fn());
+  }
+
+  function setPointLayerVisible(kind, on) {
+    const entry = pointLayers[kind];
+    entry.visible = on;
+    map.removeLayer(entry.source);
+    if (entry.cluster) map.removeLayer(entry.cluster);
+    if (!on) return;
+
+    if (clusterState.on) {
+      if (!entry.cluster) entry.cluster = makeClusterGroup(kind);
+      entry.cluster.clearLayers();
+      entry.loading = entry.source.getLayers().length > 0;
+      entry.cluster.addLayers(entry.source.getLayers());
+      entry.cluster.addTo(map);
+    } else {
+      entry.source.addTo(map);
+    }
+  }
+
+  // Re-mirror after the source layer's markers change (e.g. filters)
+  function refreshPointLayer(kind) {
+    if (pointLayers[kind].visible) setPointLayerVisible(kind, true);
+  }
+
+  // Cluster options are fixed at creation, so rebuild both groups on change
+  function rebuildClusters() {
+    Object.keys(pointLayers).forEach(kind => {
+      const entry = pointLayers[kind];
+      if (entry.cluster) { map.removeLayer(entry.cluster); entry.cluster = null; }
+      refreshPointLayer(kind);
+    });
+  }
+  const rebuildClustersSoon = debounce(rebuildClusters, 250);
+
+  function setClustering(on) {
+    clusterState.on = on && !!L.markerClusterGroup;
+    rebuildClusters();
+  }
+  function setClusterBreakZoom(z) {
+    clusterState.breakZoom = Number.isFinite(z) ? z : CLUSTER_BREAK_ZOOM_DEFAULT;
+    if (clusterZoomVal) clusterZoomVal.textContent = `z${clusterState.breakZoom}`;
+    rebuildClustersSoon();
+  }
+
+  clusterPointsCk?.addEventListener('change', () => setClustering(clusterPointsCk.checked));
+
+
   // ---------------------------------------------------------------------------
   // CLUPA (Crown Land Use Policy Atlas) — outlines + labels (declare first)
   // ---------------------------------------------------------------------------
@@ -981,16 +1838,43 @@ const runSearch = async (q, mySeq) => {
   // Pins (add/import/export; tooltip; count)
   // ---------------------------------------------------------------------------
 
-  // Persist pins
+  // Persist pins: { id, type, label, note, lat, lng, created, modified } (ISO times)
   const PINS_KEY = 'ontarioTrails.pins.v1';
 
+  const newPinId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+  // Fill in id/note/timestamps; imported pins keep whatever times they carry
+  function makePin(fields) {
+    const now = new Date().toISOString();
+    const created = fields.created || fields.modified || now;
+    return {
+      type: 'Other', label: '', note: '',
+      ...fields,
+      id: fields.id || newPinId(),
+      lat: +fields.lat, lng: +fields.lng,
+      created,
+      modified: fields.modified || created
+    };
+  }
+
+  // Imported pins keep their exported id unless it's already in use, so photos
+  // stored under that id (or a bundle's) attach to the same pin again
+  function importedPinId(id) {
+    return id && !pins.some(p => p.id === id) ? String(id) : null;
+  }
+
   function loadPinsFromStorage() {
     try {
       const raw = localStorage.getItem(PINS_KEY);
       const arr = raw ? JSON.parse(raw) : [];
+      // pins saved before ids existed get one now (their times stay unknown)
       return Array.isArray(arr) ? arr.filter(p =>
         Number.isFinite(+p.lat) && Number.isFinite(+p.lng)
-      ) : [];
+      ).map(p => {
+        if (p.id) return p;
+        pinIdsAssigned = true;
+        return { ...p, id: newPinId() };
+      }) : [];
     } catch { return []; }
   }
 
@@ -1004,6 +1888,8 @@ const runSearch = async (q, mySeq) => {
   const addPinBtn       = document.getElementById('addPinBtn');
   const importPinsInput = document.getElementById('importPinsInput');
   const exportPinsBtn   = document.getElementById('exportPinsBtn');
+  const exportPinsGeoJSONBtn = document.getElementById('exportPinsGeoJSONBtn');
+  const exportPinsBundleBtn  = document.getElementById('exportPinsBundleBtn');
   const pinCount        = document.getElementById('pinCount');
 
     // ---------------------------------------------------------------------------
@@ -1030,25 +1916,76 @@ function iconForType(type) {
   });
 }
 
+  let pinIdsAssigned = false;
   let pins = loadPinsFromStorage();
+  // store ids given to legacy pins once, so they (and photos keyed by them) stay stable
+  if (pinIdsAssigned) savePinsToStorage();
+
+  function addPinAt(lat, lng, label = (pinLabel?.value || '').trim()) {
+    pins.push(makePin({ type: pinType?.value || 'Other', label, lat, lng }));
+    savePinsToStorage();
+    refreshPins();
+  }
 
   addPinBtn?.addEventListener('click', () => {
     const c = map.getCenter();
-    pins.push({ type: pinType?.value || 'Other', label: (pinLabel?.value || '').trim(), lat: c.lat, lng: c.lng });
-     savePinsToStorage(); 
-    refreshPins();
+    addPinAt(c.lat, c.lng);
   });
-  exportPinsBtn?.addEventListener('click', () => {
-    if (!pins.length) return;
-    const wpts = pins.map(p => `<wpt lat="${p.lat.toFixed(6)}" lon="${p.lng.toFixed(6)}"><name>${esc(p.label||p.type)}</name><type>${esc(p.type)}</type></wpt>`).join('');
-    const gpx = `<?xml version="1.0" encoding="UTF-8"?>
-    <gpx version="1.1" creator="OntarioTrails" xmlns="http://www.topografix.com/GPX/1/1">
+  // GPX 1.1 wptType order: time, name, desc, link, type, extensions. <time> carries
+  // the creation time; the last edit goes in our extension namespace.
+  // photoPaths(pinId) lists photo files (zip bundle only).
+  function buildPinsGPX(photoPaths = () => []) {
+    const wpts = pins.map(p => `<wpt lat="${p.lat.toFixed(6)}" lon="${p.lng.toFixed(6)}">` +
+      (p.created ? `<time>${esc(p.created)}</time>` : '') +
+      `<name>${esc(p.label||p.type)}</name>` +
+      (p.note ? `<desc>${esc(p.note)}</desc>` : '') +
+      photoPaths(p.id).map(href => `<link href="${esc(href)}"><type>image/jpeg</type></link>`).join('') +
+      `<type>${esc(p.type)}</type>` +
+      `<extensions><ot:id>${esc(p.id)}</ot:id>` +
+      (p.modified ? `<ot:modified>${esc(p.modified)}</ot:modified>` : '') + `</extensions>` +
+      `</wpt>`).join('\n    ');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+    <gpx version="1.1" creator="OntarioTrails" xmlns="http://www.topografix.com/GPX/1/1" xmlns:ot="${GPX_NS_OT}">
     ${wpts}
     </gpx>`;
-    downloadText('pins.gpx', gpx, 'application/gpx+xml');
+  }
+  function buildPinsGeoJSON(photoPaths = () => []) {
+    return JSON.stringify({
+      type: 'FeatureCollection',
+      features: pins.map(p => {
+        const photos = photoPaths(p.id);
+        return {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [+p.lng.toFixed(6), +p.lat.toFixed(6)] },
+          properties: {
+            id: p.id, name: p.label || '', type: p.type, note: p.note || '', created: p.created || null, modified: p.modified || null,
+            ...(photos.length ? { photos } : {})
+          }
+        };
+      })
+    }, null, 2);
+  }
+  exportPinsBtn?.addEventListener('click', () => {
+    if (!pins.length) return;
+    downloadText('pins.gpx', buildPinsGPX(), 'application/gpx+xml');
+  });
+  exportPinsGeoJSONBtn?.addEventListener('click', () => {
+    if (!pins.length) return;
+    downloadText('pins.geojson', buildPinsGeoJSON(), 'application/geo+json');
+  });
+  exportPinsBundleBtn?.addEventListener('click', () => {
+    exportPinBundle().catch(err => alert(`Could not export bundle: ${err.message}`));
   });
   importPinsInput?.addEventListener('change', async (e) => {
     const file = e.target.files?.[0]; if (!file) return;
+    e.target.value = '';
+    if (file.name.toLowerCase().endsWith('.zip')) {
+      try { await importPinBundle(file); }
+      catch (err) { alert(`Could not import ${file.name}: ${err.message}`); }
+      savePinsToStorage();
+      refreshPins();
+      return;
+    }
     const text = await file.text();
     let parsed = [];
     if (file.name.toLowerCase().endsWith('.gpx')) {
@@ -1057,14 +1994,19 @@ function iconForType(type) {
       try {
         const gj = JSON.parse(text);
         parsed = gj.features?.map(f => ({
-          type:  f.properties?.type || 'Other',
-          label: f.properties?.name || '',
-          lat:   f.geometry.coordinates[1],
-          lng:   f.geometry.coordinates[0]
+          id:       f.properties?.id || null,
+          type:     f.properties?.type || 'Other',
+          label:    f.properties?.name || '',
+          note:     f.properties?.note || f.properties?.desc || f.properties?.description || '',
+          created:  f.properties?.created || f.properties?.time || null,
+          modified: f.properties?.modified || null,
+          lat:      f.geometry.coordinates[1],
+          lng:      f.geometry.coordinates[0]
         })) || [];
       } catch { /* ignore bad JSON */ }
     }
-    pins.push(...parsed);
+    parsed.filter(p => Number.isFinite(+p.lat) && Number.isFinite(+p.lng))
+      .forEach(p => pins.push(makePin({ ...p, id: importedPinId(p.id) })));
     savePinsToStorage(); 
     refreshPins();
     e.target.value = '';
@@ -1080,12 +2022,19 @@ function iconForType(type) {
       const lng = parseFloat(w.getAttribute('lon'));
       const name = w.querySelector('name')?.textContent || '';
       const type = w.querySelector('type')?.textContent || 'Other';
-      if (!isNaN(lat) && !isNaN(lng)) res.push({ type, label: name, lat, lng });
+      const note = w.querySelector('desc')?.textContent || w.querySelector('cmt')?.textContent || '';
+      const time = w.querySelector('time')?.textContent?.trim();
+      const modified = w.getElementsByTagNameNS(GPX_NS_OT, 'modified')[0]?.textContent?.trim();
+      const id = w.getElementsByTagNameNS(GPX_NS_OT, 'id')[0]?.textContent?.trim() || null;
+      const iso = (t) => (t && !isNaN(Date.parse(t)) ? new Date(t).toISOString() : null);
+      if (!isNaN(lat) && !isNaN(lng)) res.push({ id, type, label: name, note, lat, lng, created: iso(time), modified: iso(modified) });
     });
     return res;
   }
   function downloadText(filename, text, mime){
-    const blob = new Blob([text], { type: mime || 'text/plain' });
+    downloadBlob(filename, new Blob([text], { type: mime || 'text/plain' }));
+  }
+  function downloadBlob(filename, blob){
     const url  = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url; a.download = filename; a.click();
@@ -1106,6 +2055,7 @@ function refreshPins() {
 
     const doDelete = () => {
       // remove index safely (handles duplicates)
+      deletePinPhotos(p.id);
       pins.splice(idx, 1);
       savePinsToStorage();
       refreshPins();
@@ -1151,9 +2101,32 @@ function ensurePinListContainer() {
   return el;
 }
 
-function formatCoords(lat, lng) {
-  const f = (n) => (Math.abs(n).toFixed(5)) + (n >= 0 ? (n === lat ? '°N' : '°E') : (n === lat ? '°S' : '°W'));
-  return `${f(lat)}, ${f(lng)}`;
+// Display format for every coordinate shown in the UI: 'dd' | 'dms' | 'ddm' | 'utm'
+const COORD_FORMATS = ['dd', 'dms', 'ddm', 'utm'];
+let coordFormat = 'dd';
+
+function formatCoords(lat, lng, format = coordFormat) {
+  if (format === 'utm') {
+    const u = latLngToUtm(lat, lng);
+    return `${u.zone}${u.band} ${Math.round(u.easting)}E ${Math.round(u.northing)}N`;
+  }
+  const hemi = (n, isLat) => (isLat ? (n >= 0 ? 'N' : 'S') : (n >= 0 ? 'E' : 'W'));
+  const f = (n, isLat) => {
+    const a = Math.abs(n);
+    if (format === 'dms') {
+      // round at the finest unit first so 59.95″ carries into the minutes
+      const totalS = Math.round(a * 36000) / 10;
+      const d = Math.floor(totalS / 3600), m = Math.floor((totalS % 3600) / 60), sec = totalS - d * 3600 - m * 60;
+      return `${d}°${String(m).padStart(2, '0')}′${sec.toFixed(1).padStart(4, '0')}″${hemi(n, isLat)}`;
+    }
+    if (format === 'ddm') {
+      const totalM = Math.round(a * 60000) / 1000;
+      const d = Math.floor(totalM / 60), m = totalM - d * 60;
+      return `${d}°${m.toFixed(3).padStart(6, '0')}′${hemi(n, isLat)}`;
+    }
+    return `${a.toFixed(5)}°${hemi(n, isLat)}`;
+  };
+  return `${f(lat, true)}, ${f(lng, false)}`;
 }
 
 function renderPinList() {
@@ -1177,8 +2150,11 @@ function renderPinList() {
         <div class="pin-main" data-action="zoom" data-idx="${idx}" style="flex:1 1 auto;">
           <div style="font-weight:600;line-height:1.2">${esc(label)}</div>
           <div class="muted" style="font-size:.85rem;opacity:.75">${coords}</div>
+          ${p.note ? `<div class="pin-note-snippet">${esc(p.note)}</div>` : ''}
+          ${pinThumbsHtml(p.id, { max: 4 })}
         </div>
 
+        <button class="pin-edit" data-action="edit" data-idx="${idx}" title="Edit pin">✏️</button>
         <button class="pin-del" data-action="del" data-idx="${idx}" title="Delete pin"
                 style="border:1px solid #e11d48;border-radius:6px;padding:.25rem .5rem;background:#fff;color:#e11d48;cursor:pointer">🗑️</button>
       </div>`;
@@ -1213,8 +2189,11 @@ ensurePinListContainer().addEventListener('click', (e) => {
     try { m?.openTooltip?.(); } catch {}
   }
 
+  if (action === 'edit') openPinEditor(idx);
+
   if (action === 'del') {
     // Delete pin, persist, and refresh
+    deletePinPhotos(pins[idx].id);
     pins.splice(idx, 1);
     savePinsToStorage?.();
     refreshPins();      // this will also re-render the list via our patched refreshPins
@@ -1232,12 +2211,23 @@ refreshPins = function patchedRefreshPins() {
 pins.forEach((p, idx) => {
     const m = L.marker([p.lat, p.lng], {
       title: p.label || p.type,
-      icon: iconForType(p.type) // ✅ use your custom icon
+      icon: iconForType(p.type), // ✅ use your custom icon
+      draggable: true            // drag to reposition
     });
     m.bindTooltip(p.label || p.type);
     m.addTo(pinsLayer);
     pinMarkers[idx] = m;
 
+    m.on('dragend', () => {
+      const ll = m.getLatLng();
+      const pin = pins.find(x => x.id === p.id);
+      if (!pin) return;
+      pin.lat = ll.lat; pin.lng = ll.lng;
+      pin.modified = new Date().toISOString();
+      savePinsToStorage();
+      renderPinList();
+    });
+
     // Optional: single-tap delete from marker popup (phone-friendly)
     // Left-click opens popup with a delete button; remove if you don't want this.
     m.on('click', () => {
@@ -1246,15 +2236,25 @@ pins.forEach((p, idx) => {
         `<div style="min-width:180px">
            <div style="font-weight:600;margin-bottom:6px">${esc(label)}</div>
            <div style="font-size:.85rem;opacity:.7;margin-bottom:.5rem">${formatCoords(p.lat, p.lng)}</div>
+           ${p.note ? `<div class="pin-note">${esc(p.note)}</div>` : ''}
+           ${pinThumbsHtml(p.id)}
+           ${pinTimesHtml(p)}
+           <button class="pin-edit-inline" style="padding:6px 10px;border:1px solid #1472ff;border-radius:6px;background:#fff;cursor:pointer">✏️ Edit</button>
            <button class="pin-del-inline" style="padding:6px 10px;border:1px solid #c33;border-radius:6px;background:#fff;cursor:pointer">🗑️ Delete pin</button>
          </div>`,
         { closeButton: true }
       ).openPopup();
     });
     m.on('popupopen', (ev) => {
+      ev?.popup?._contentNode?.querySelector?.('.pin-edit-inline')?.addEventListener('click', () => {
+        const i = pinMarkers.indexOf(m);
+        try { map.closePopup(); } catch {}
+        if (i >= 0) openPinEditor(i);
+      });
       ev?.popup?._contentNode?.querySelector?.('.pin-del-inline')?.addEventListener('click', () => {
         const i = pinMarkers.indexOf(m);
         if (i >= 0) {
+          deletePinPhotos(pins[i].id);
           pins.splice(i, 1);
           savePinsToStorage?.();
           refreshPins();
@@ -1267,185 +2267,2414 @@ pins.forEach((p, idx) => {
 
    if (pinCount) pinCount.textContent = pins.length ? `${pins.length} pin(s)` : '';
   renderPinList();
+  updateOrphanPhotos();
 };
 
-// First render (if pins already loaded at boot)
-renderPinList();
-
-  // ---------------------------------------------------------------------------
-  // Locate / Follow / Reset View
-  // ---------------------------------------------------------------------------
-  const locateBtn    = document.getElementById('locateBtn');
-  const followBtn    = document.getElementById('followBtn');
-  const resetViewBtn = document.getElementById('resetViewBtn');
+// ---- Pin edit dialog (label, type, note; position is edited by dragging) ----
+const pinEditDialog = document.getElementById('pinEditDialog');
+const pinEditForm   = document.getElementById('pinEditForm');
+let editingPinId = null;
 
-  const LOCATE_ZOOM = 15; // how far to zoom on locate
+function fmtPinTime(iso) {
+  const d = iso ? new Date(iso) : null;
+  return d && !isNaN(d) ? d.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : null;
+}
+function pinTimesHtml(p) {
+  const created = fmtPinTime(p.created), modified = fmtPinTime(p.modified);
+  if (!created && !modified) return '';
+  return `<div class="pin-times">${created ? `Added ${esc(created)}` : ''}` +
+    `${modified && p.modified !== p.created ? `${created ? ' · ' : ''}Edited ${esc(modified)}` : ''}</div>`;
+}
 
+function openPinEditor(idx) {
+  const p = pins[idx];
+  if (!p || !pinEditDialog || !pinEditForm) return;
+  editingPinId = p.id;
+  const typeSel = pinEditForm.elements.type;
+  typeSel.innerHTML = Object.keys(PIN_ICONS).map(t => `<option value="${esc(t)}">${PIN_ICONS[t]} ${esc(t)}</option>`).join('');
+  typeSel.value = PIN_ICONS[p.type] ? p.type : 'Other';
+  pinEditForm.elements.label.value = p.label || '';
+  pinEditForm.elements.note.value = p.note || '';
+  const meta = document.getElementById('pinEditMeta');
+  if (meta) meta.innerHTML = `${esc(formatCoords(p.lat, p.lng))} · drag the pin on the map to move it${pinTimesHtml(p)}`;
+  renderPinEditPhotos();
+  if (pinEditDialog.showModal) pinEditDialog.showModal(); else pinEditDialog.setAttribute('open', '');
+  pinEditForm.elements.label.focus();
+}
 
-  let watching = false, watchId = null, follow = false, you = null;
+function closePinEditor() {
+  editingPinId = null;
+  if (pinEditDialog?.close) pinEditDialog.close(); else pinEditDialog?.removeAttribute('open');
+}
 
-  function ensureMarker() {
-    if (!you) you = L.circleMarker([0,0], { radius: 6, color: '#ff00a8' }).addTo(map);
-    return you;
+pinEditForm?.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const p = pins.find(x => x.id === editingPinId);
+  if (p) {
+    p.label = pinEditForm.elements.label.value.trim();
+    p.type  = pinEditForm.elements.type.value;
+    p.note  = pinEditForm.elements.note.value.trim();
+    p.modified = new Date().toISOString();
+    savePinsToStorage();
+    refreshPins();
   }
+  closePinEditor();
+});
+document.getElementById('pinEditCancel')?.addEventListener('click', closePinEditor);
 
- function startLocate(centerOnFix = false) {
+// ---------------------------------------------------------------------------
+// Pin photos — camera/file images resized on the device and kept in
+// IndexedDB ('photos', one row per photo with a small thumbnail), never in
+// localStorage. Shown in the pin popup, list and editor; exported in a zip.
+// ---------------------------------------------------------------------------
+const PHOTO_MAX_PX   = 1600;   // long edge of the stored copy
+const PHOTO_THUMB_PX = 160;
+const PHOTO_QUALITY  = 0.82;   // JPEG
+const PIN_BUNDLE_NAME = 'pins-bundle.zip';
+
+const pinPhotos = new Map();   // pinId → [{ id, thumbURL }] (oldest first)
+
+async function resizeImage(file, maxPx, quality = PHOTO_QUALITY){
+  // createImageBitmap honours EXIF orientation where 'from-image' is supported
+  const bmp = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  const scale = Math.min(1, maxPx / Math.max(bmp.width, bmp.height));
+  const w = Math.max(1, Math.round(bmp.width * scale)), h = Math.max(1, Math.round(bmp.height * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = w; canvas.height = h;
+  canvas.getContext('2d').drawImage(bmp, 0, 0, w, h);
+  bmp.close?.();
+  const blob = await new Promise(r => canvas.toBlob(r, 'image/jpeg', quality));
+  if (!blob) throw new Error('Could not encode image');
+  return { blob, width: w, height: h };
+}
+
+function cachePhotoThumb(rec){
+  const list = pinPhotos.get(rec.pinId) || [];
+  if (!list.some(x => x.id === rec.id)) list.push({ id: rec.id, thumbURL: URL.createObjectURL(rec.thumb), createdAt: rec.createdAt });
+  list.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  pinPhotos.set(rec.pinId, list);
+}
+
+async function addPinPhotos(pinId, files){
+  let added = 0;
+  for (const file of files) {
+    try {
+      const full  = await resizeImage(file, PHOTO_MAX_PX);
+      const thumb = await resizeImage(file, PHOTO_THUMB_PX, 0.7);
+      const rec = {
+        id: `ph${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        pinId, blob: full.blob, thumb: thumb.blob,
+        width: full.width, height: full.height,
+        name: file.name || 'photo.jpg',
+        createdAt: new Date().toISOString()
+      };
+      await idbPut('photos', rec);
+      cachePhotoThumb(rec);
+      added++;
+    } catch (err) {
+      alert(`Could not add ${file.name || 'photo'}: ${err.message}`);
+    }
+  }
+  return added;
+}
+
+async function deletePinPhoto(pinId, photoId){
+  await idbDelete('photos', photoId).catch(() => {});
+  const list = pinPhotos.get(pinId) || [];
+  list.filter(x => x.id === photoId).forEach(x => URL.revokeObjectURL(x.thumbURL));
+  pinPhotos.set(pinId, list.filter(x => x.id !== photoId));
+}
+
+function deletePinPhotos(pinId){
+  (pinPhotos.get(pinId) || []).forEach(x => URL.revokeObjectURL(x.thumbURL));
+  pinPhotos.delete(pinId);
+  idbDeleteByIndex('photos', 'pinId', pinId).catch(() => {});
+}
+
+// Full-size copy in a new tab (blob URL lives until the tab is closed)
+async function openPinPhoto(photoId){
+  const rec = await idbGet('photos', photoId).catch(() => null);
+  if (rec?.blob) window.open(URL.createObjectURL(rec.blob), '_blank');
+}
+
+function pinThumbsHtml(pinId, { max = 6, removable = false } = {}){
+  const list = pinPhotos.get(pinId) || [];
+  if (!list.length) return '';
+  return `<div class="pin-thumbs">${list.slice(0, max).map(x =>
+    `<span class="pin-thumb"><img src="${x.thumbURL}" alt="" data-photo="${esc(x.id)}">` +
+    (removable ? `<button type="button" class="pin-thumb-del" data-photo-del="${esc(x.id)}" title="Remove photo">✕</button>` : '') +
+    `</span>`).join('')}${list.length > max ? `<span class="pin-thumb-more">+${list.length - max}</span>` : ''}</div>`;
+}
+
+// Thumbnails open the full photo wherever they're shown
+document.addEventListener('click', (e) => {
+  const img = e.target.closest?.('img[data-photo]');
+  if (img) { e.stopPropagation(); openPinPhoto(img.dataset.photo); }
+}, true);
+
+// Editor: add (camera or file) and remove photos; saved immediately
+const pinPhotoInputs = document.querySelectorAll('#pinEditForm input[type="file"]');
+const pinEditPhotos  = document.getElementById('pinEditPhotos');
+
+function renderPinEditPhotos(){
+  if (pinEditPhotos) pinEditPhotos.innerHTML = pinThumbsHtml(editingPinId, { max: 50, removable: true }) || '<div class="muted">No photos.</div>';
+}
+
+pinPhotoInputs.forEach(input => input.addEventListener('change', async (e) => {
+  const files = Array.from(e.target.files || []);
+  e.target.value = '';
+  const pinId = editingPinId;
+  if (!pinId || !files.length) return;
+  if (pinEditPhotos) pinEditPhotos.innerHTML = '<div class="muted">Adding photos…</div>';
+  await addPinPhotos(pinId, files);
+  savePinsToStorage(); // photos are keyed by pin id, so make sure that id is stored
+  if (editingPinId === pinId) renderPinEditPhotos();
+  refreshPins();
+}));
+
+pinEditPhotos?.addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-photo-del]');
+  if (!btn || !editingPinId || !confirm('Remove this photo?')) return;
+  await deletePinPhoto(editingPinId, btn.dataset.photoDel);
+  renderPinEditPhotos();
+  refreshPins();
+});
+
+(async function restorePinPhotos(){
+  try {
+    (await idbGetAll('photos')).forEach(cachePhotoThumb);
+    refreshPins();
+  } catch (err) {
+    console.warn('Pin photos not restored:', err);
+  }
+})();
+
+// Photos whose pin is gone (e.g. localStorage cleared) are kept until the user
+// clears them: importing an export of that pin (GPX, GeoJSON or bundle) reuses
+// its id, which reattaches them.
+function orphanPhotoPinIds(){
+  const ids = new Set(pins.map(p => p.id));
+  return [...pinPhotos.keys()].filter(id => !ids.has(id) && pinPhotos.get(id).length);
+}
+
+function updateOrphanPhotos(){
+  const btn = document.getElementById('clearOrphanPhotosBtn');
+  if (!btn) return;
+  const n = orphanPhotoPinIds().reduce((sum, id) => sum + pinPhotos.get(id).length, 0);
+  btn.hidden = !n;
+  btn.textContent = `🧹 Clear ${n} unattached photo(s)`;
+}
+
+document.getElementById('clearOrphanPhotosBtn')?.addEventListener('click', () => {
+  const ids = orphanPhotoPinIds();
+  if (!ids.length || !confirm('Delete photos that no longer belong to any pin? This cannot be undone.')) return;
+  ids.forEach(deletePinPhotos);
+  updateOrphanPhotos();
+});
+
+// ---- Zip bundle: pins.gpx + pins.geojson + photos/<pinId>/<photoId>.jpg ----
+// Photo paths are listed on each pin (GeoJSON "photos", GPX <link>) so the
+// bundle is also readable by other tools.
+function pinPhotoPaths(pinId){
+  return (pinPhotos.get(pinId) || []).map(x => `photos/${pinId}/${x.id}.jpg`);
+}
+
+async function exportPinBundle(){
+  if (!pins.length) return;
+  if (!window.JSZip) { alert('Zip export needs the JSZip library, which has not loaded (offline?).'); return; }
+  const zip = new JSZip();
+  zip.file('pins.gpx', buildPinsGPX(pinPhotoPaths));
+  zip.file('pins.geojson', buildPinsGeoJSON(pinPhotoPaths));
+  for (const p of pins) {
+    for (const x of pinPhotos.get(p.id) || []) {
+      const rec = await idbGet('photos', x.id).catch(() => null);
+      // JPEGs don't compress further, so they're stored; only the text files are deflated
+      if (rec?.blob) zip.file(`photos/${p.id}/${x.id}.jpg`, rec.blob, { compression: 'STORE' });
+    }
+  }
+  downloadBlob(PIN_BUNDLE_NAME, await zip.generateAsync({ type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 6 } }));
+}
+
+async function importPinBundle(file){
+  if (!window.JSZip) throw new Error('JSZip library not loaded');
+  const zip = await JSZip.loadAsync(file);
+  const gjFile = zip.file(/(^|\/)pins\.geojson$/i)[0];
+  if (!gjFile) throw new Error('No pins.geojson in bundle');
+  const base = gjFile.name.replace(/pins\.geojson$/i, '');
+  const gj = JSON.parse(await gjFile.async('string'));
+  let imported = 0;
+  for (const f of gj.features || []) {
+    const [lng, lat] = f.geometry?.coordinates || [];
+    if (!Number.isFinite(+lat) || !Number.isFinite(+lng)) continue;
+    const pr = f.properties || {};
+    // a bundle imported twice gets new ids the second time (the first copy holds them)
+    const id = importedPinId(pr.id);
+    const pin = makePin({ id, type: pr.type || 'Other', label: pr.name || '', note: pr.note || '', created: pr.created, modified: pr.modified, lat, lng });
+    pins.push(pin);
+    imported++;
+    // photos still stored under a reused id are the same ones; don't copy them again
+    if (id && pinPhotos.get(id)?.length) continue;
+    for (const path of Array.isArray(pr.photos) ? pr.photos : []) {
+      const entry = zip.file(base + path);
+      if (!entry) continue;
+      const blob = new Blob([await entry.async('arraybuffer')], { type: 'image/jpeg' });
+      const thumb = await resizeImage(blob, PHOTO_THUMB_PX, 0.7).then(r => r.blob).catch(() => blob);
+      const rec = {
+        id: `ph${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        pinId: pin.id, blob, thumb, name: path.split('/').pop(),
+        createdAt: new Date().toISOString()
+      };
+      await idbPut('photos', rec);
+      cachePhotoThumb(rec);
+    }
+  }
+  return imported;
+}
+
+// First render: draw saved pins on the map and list them
+refreshPins();
+
+// ---------------------------------------------------------------------------
+// Local search index — access sites, stocked waterbodies, OTN trails and pins
+// that are already on the device. Searched before Nominatim and still
+// answers when the geocoder is unreachable.
+// ---------------------------------------------------------------------------
+const LOCAL_SEARCH_LIMIT = 10;
+const LOCAL_SOURCE_BADGES = { access: 'Access', stocked: 'Stocked', trail: 'Trail', pin: 'Pin', gazetteer: 'Gazetteer' };
+let localIndex = null;          // { sig, entries: [{ source, name, norm, key, latlng, ref, detail }] }
+let localDatasetsLoad = null;   // one load attempt per session for datasets not yet toggled on
+
+// Case/accent/punctuation-insensitive form used for matching
+function normSearch(s){
+  return String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Canonical name fold, shared with foldWaterName() in geocode_lakes.mjs (which
+// must give the same result for normSearch'd input): French/English generic
+// terms fold to one spelling, articles drop out and the words are sorted, so
+// "Lac Seul", "Seul Lake" and "lake seul" all become "lake seul".
+const WATER_TERM_FOLDS = {
+  lac: 'lake', lacs: 'lakes', riviere: 'river', rivieres: 'rivers', ruisseau: 'creek',
+  etang: 'pond', baie: 'bay', ile: 'island', iles: 'islands', chute: 'falls', chutes: 'falls',
+  pointe: 'point', mont: 'mount', reservoir: 'reservoir', reservorir: 'reservoir'
+};
+const NAME_PARTICLES = new Set(['de', 'du', 'des', 'la', 'le', 'les', 'l', 'd', 'au', 'aux', 'the', 'of']);
+
+// Folded words in name order; ranking uses these so prefix matches still mean
+// "the name starts with the query"
+function foldWaterWords(norm){
+  const words = norm.split(' ').map(w => WATER_TERM_FOLDS[w] || w);
+  const kept = words.filter(w => !NAME_PARTICLES.has(w));
+  return kept.length ? kept : words;
+}
+function foldWaterTerms(norm){
+  return foldWaterWords(norm).sort().join(' ');
+}
+// Both forms of a name for local search: norm (name order) and key (canonical)
+function searchForms(name){
+  const n = normSearch(name);
+  return { norm: foldWaterWords(n).join(' '), key: foldWaterTerms(n) };
+}
+
+// ---- Local gazetteer (gazetteer.geojson or gazetteer.csv) -------------------
+// Optional place/waterbody names file shipped with the app so name search
+// works with no network. CSV needs name + lat + lon (or lng/longitude)
+// columns; type/kind and region columns are shown when present.
+let gazetteer = null;           // [{ name, lat, lng, type, region }]
+let gazetteerLoad = null;
+
+function parseCSV(text){
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+  return rows.filter(r => r.some(v => v.trim()))
+    .map(r => Object.fromEntries(header.map((h, i) => [h, (r[i] ?? '').trim()])));
+}
+
+function gazetteerEntry(p, lat, lng){
+  const name = p.name || p.NAME || p.official_name || p.OFFICIAL_NAME || p.geoname || p.GEONAME;
+  if (!name || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return {
+    name: String(name).trim(), lat, lng,
+    type: p.type || p.TYPE || p.kind || p.feature_type || p.generic || '',
+    region: p.region || p.REGION || p.province || p.PROVINCE || ''
+  };
+}
+
+function ensureGazetteerLoaded(){
+  if (gazetteerLoad) return gazetteerLoad;
+  gazetteerLoad = (async () => {
+    try {
+      const gj = await fetchFirstJSON(['./gazetteer.geojson', './data/gazetteer.geojson']);
+      gazetteer = (gj.features || []).map(f => {
+        const g = f.geometry;
+        // points as-is; shapes by their bounding-box centre
+        const b = g && g.type !== 'Point' ? L.geoJSON(f).getBounds() : null;
+        const c = g?.type === 'Point' ? { lat: +g.coordinates[1], lng: +g.coordinates[0] } : b?.isValid() ? b.getCenter() : {};
+        return gazetteerEntry(f.properties || {}, c.lat, c.lng);
+      }).filter(Boolean);
+      return;
+    } catch (_) { /* fall back to CSV */ }
+    for (const url of ['./gazetteer.csv', './data/gazetteer.csv']) {
+      try {
+        const res = await fetch(url, { cache: 'no-store' });
+        if (!res.ok) continue;
+        gazetteer = parseCSV(await res.text()).map(r =>
+          gazetteerEntry(r, parseFloat(r.lat ?? r.latitude), parseFloat(r.lon ?? r.lng ?? r.longitude))).filter(Boolean);
+        return;
+      } catch (_) { /* try next */ }
+    }
+    console.warn('No local gazetteer (gazetteer.geojson / gazetteer.csv); offline search covers loaded data only.');
+  })();
+  return gazetteerLoad;
+}
+// Fetch once while online so the service worker's data cache holds it for offline use
+setTimeout(ensureGazetteerLoaded, 3000);
+
+function ensureLocalDatasets(){
+  if (!localDatasetsLoad) localDatasetsLoad = Promise.all([ensureAccessLoaded(), ensureStockedLoaded(), ensureGazetteerLoaded()]);
+  return localDatasetsLoad;
+}
+
+function buildLocalIndex(){
+  const entries = [];
+  const add = (source, name, latlng, ref, detail = '') => {
+    if (name) entries.push({ source, name, ...searchForms(name), latlng, ref, detail });
+  };
+  (accessData?.features || []).forEach(f => {
+    const [lng, lat] = f.geometry?.coordinates || [];
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      add('access', accessName(f.properties || {}, null), L.latLng(lat, lng), f, f.properties?.FISHING_ACCESS_POINT_TYPE || '');
+    }
+  });
+  // Stocked markers are already one per waterbody (events aggregated)
+  stockedLayer.eachLayer(layer => {
+    const p = layer.feature?.properties || {};
+    const ll = layer.getLatLng?.();
+    if (!ll || p.WATERBODY === 'Stocked Lake') return;
+    const span = p.firstYear ? ` · ${p.firstYear === p.lastYear ? p.firstYear : `${p.firstYear}–${p.lastYear}`}` : '';
+    add('stocked', p.WATERBODY, ll, layer, `${p.events.length} stocking event(s)${span}`);
+  });
+  getTrailNameIndex().byName.forEach(t =>
+    add('trail', t.name, t.layers[0]?.getBounds?.().getCenter(), t, `${t.layers.length} segment(s) · ${fmtDistance(t.lengthM)}`));
+  (gazetteer || []).forEach(g =>
+    add('gazetteer', g.name, L.latLng(g.lat, g.lng), g, [g.type, g.region].filter(Boolean).join(' · ')));
+  return entries;
+}
+
+function getLocalIndex(){
+  const sig = `${accessData?.features?.length || 0}|${stockedLayer.getLayers().length}|${trailsLayer.getLayers().length}|${gazetteer?.length || 0}`;
+  if (localIndex?.sig !== sig) localIndex = { sig, entries: buildLocalIndex() };
+  return localIndex.entries;
+}
+
+// Every query word must appear; same-name (in any word order), name-prefix and
+// word-start matches rank first
+function localMatchScore(e, q){
+  if (!q.words.every(w => e.norm.includes(w))) return -1;
+  if (e.key === q.key) return 0;
+  if (e.norm.startsWith(q.norm)) return 1;
+  const starts = e.norm.split(' ');
+  return q.words.every(w => starts.some(s => s.startsWith(w))) ? 2 : 3;
+}
+
+async function searchLocal(query){
+  const q = searchForms(query);
+  if (!q.norm) return [];
+  await ensureLocalDatasets();
+  q.words = q.norm.split(' ');
+  // Pins change often and are few, so they are matched fresh each time
+  const pinEntries = pins.map((p, idx) => {
+    const name = p.label || p.type;
+    return { source: 'pin', name, ...searchForms(name), latlng: L.latLng(+p.lat, +p.lng), ref: idx, detail: p.label ? p.type : '' };
+  });
+  return [...pinEntries, ...getLocalIndex()]
+    .map(e => ({ e, score: localMatchScore(e, q) }))
+    .filter(h => h.score >= 0)
+    .sort((a, b) => a.score - b.score || a.e.name.length - b.e.name.length || a.e.name.localeCompare(b.e.name))
+    .slice(0, LOCAL_SEARCH_LIMIT)
+    .map(h => h.e);
+}
+
+// Zoom to a point-layer marker, unclustering it first when needed
+function openPointMarker(kind, layer){
+  const { cluster, loading, onLoaded } = pointLayers[kind];
+  // a layer just switched on may still be adding markers in chunks
+  if (loading && cluster && map.hasLayer(cluster)) {
+    onLoaded.push(() => openPointMarker(kind, layer));
+    return;
+  }
+  if (cluster && map.hasLayer(cluster) && cluster.hasLayer(layer)) {
+    cluster.zoomToShowLayer(layer, () => layer.openPopup());
+  } else {
+    map.setView(layer.getLatLng(), Math.max(map.getZoom(), 14));
+    layer.openPopup();
+  }
+}
+
+function showPointKind(kind, checkbox){
+  if (checkbox && !checkbox.checked) {
+    checkbox.checked = true;
+    // persist as restoreCheckbox would; a synthetic 'change' would re-run the
+    // async toggle and re-add the layer, closing the popup we're about to open
+    setSetting(`ck:${checkbox.id}`, true);
+  }
+  if (!pointLayers[kind].visible) setPointLayerVisible(kind, true);
+}
+
+function openLocalHit(hit){
+  if (hit.source === 'access') {
+    showPointKind('access', showAccess);
+    const layer = accessLayer.getLayers().find(l => l.feature === hit.ref);
+    if (layer) { openPointMarker('access', layer); return; }
+    // Hidden by the attribute filters — show its details without changing them
+    map.setView(hit.latlng, Math.max(map.getZoom(), 14));
+    L.popup({ maxWidth: 340 }).setLatLng(hit.latlng).setContent(accessPopupContent(hit.ref.properties || {})).openOn(map);
+  } else if (hit.source === 'stocked') {
+    showPointKind('stocked', showStocked);
+    openPointMarker('stocked', hit.ref);
+  } else if (hit.source === 'trail') {
+    highlightTrail(hit.ref);
+  } else if (hit.source === 'gazetteer') {
+    map.setView(hit.latlng, Math.max(map.getZoom(), 13));
+    if (searchMarker) map.removeLayer(searchMarker);
+    searchMarker = L.marker(hit.latlng).addTo(map)
+      .bindPopup(`<b>${esc(hit.name)}</b>${hit.detail ? `<div class="muted">${esc(hit.detail)}</div>` : ''}`)
+      .openPopup();
+  } else if (hit.source === 'pin') {
+    if (showPinsCk && !map.hasLayer(pinsLayer)) { showPinsCk.checked = true; pinsLayer.addTo(map); }
+    if (!pinMarkers[hit.ref]) refreshPins();
+    map.setView(hit.latlng, Math.max(map.getZoom(), 14));
+    try { pinMarkers[hit.ref]?.openTooltip(); } catch {}
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Coordinate input — decimal degrees, DMS / degrees-decimal-minutes, and UTM
+// NAD83 zones 15–18 (Ontario). NAD83 and WGS84 differ by ~1 m here, so UTM
+// is converted on the GRS80 ellipsoid and used directly on the map.
+// ---------------------------------------------------------------------------
+const UTM_ZONES = [15, 16, 17, 18];
+const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+const UTM_K0 = 0.9996;
+
+// Inverse transverse Mercator (Snyder); northern hemisphere only
+function utmToLatLng(zone, easting, northing){
+  const { a, f } = GRS80;
+  const e2 = f * (2 - f), ep2 = e2 / (1 - e2);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+  const x = easting - 500000, M = northing / UTM_K0;
+  const mu = M / (a * (1 - e2/4 - 3*e2*e2/64 - 5*e2*e2*e2/256));
+  const phi1 = mu
+    + (3*e1/2 - 27*e1**3/32) * Math.sin(2*mu)
+    + (21*e1*e1/16 - 55*e1**4/32) * Math.sin(4*mu)
+    + (151*e1**3/96) * Math.sin(6*mu)
+    + (1097*e1**4/512) * Math.sin(8*mu);
+  const sin1 = Math.sin(phi1), cos1 = Math.cos(phi1), tan1 = Math.tan(phi1);
+  const C1 = ep2 * cos1 * cos1, T1 = tan1 * tan1;
+  const N1 = a / Math.sqrt(1 - e2 * sin1 * sin1);
+  const R1 = a * (1 - e2) / Math.pow(1 - e2 * sin1 * sin1, 1.5);
+  const D = x / (N1 * UTM_K0);
+  const lat = phi1 - (N1 * tan1 / R1) * (D*D/2
+    - (5 + 3*T1 + 10*C1 - 4*C1*C1 - 9*ep2) * D**4 / 24
+    + (61 + 90*T1 + 298*C1 + 45*T1*T1 - 252*ep2 - 3*C1*C1) * D**6 / 720);
+  const lng0 = (zone - 1) * 6 - 180 + 3;
+  const lng = lng0 * Math.PI / 180 + (D
+    - (1 + 2*T1 + C1) * D**3 / 6
+    + (5 - 2*C1 + 28*T1 - 3*C1*C1 + 8*ep2 + 24*T1*T1) * D**5 / 120) / cos1;
+  return { lat: lat * 180 / Math.PI, lng: lng * 180 / Math.PI };
+}
+
+// Forward transverse Mercator (Snyder) in the point's own 6° zone
+function latLngToUtm(lat, lng){
+  const { a, f } = GRS80;
+  const e2 = f * (2 - f), ep2 = e2 / (1 - e2);
+  const zone = clamp(Math.floor((lng + 180) / 6) + 1, 1, 60);
+  const phi = lat * Math.PI / 180;
+  const dLng = (lng - ((zone - 1) * 6 - 180 + 3)) * Math.PI / 180;
+  const sin = Math.sin(phi), cos = Math.cos(phi), tan = Math.tan(phi);
+  const N = a / Math.sqrt(1 - e2 * sin * sin);
+  const T = tan * tan, C = ep2 * cos * cos, A = cos * dLng;
+  const M = a * ((1 - e2/4 - 3*e2*e2/64 - 5*e2**3/256) * phi
+    - (3*e2/8 + 3*e2*e2/32 + 45*e2**3/1024) * Math.sin(2*phi)
+    + (15*e2*e2/256 + 45*e2**3/1024) * Math.sin(4*phi)
+    - (35*e2**3/3072) * Math.sin(6*phi));
+  const easting = 500000 + UTM_K0 * N * (A + (1 - T + C) * A**3 / 6
+    + (5 - 18*T + T*T + 72*C - 58*ep2) * A**5 / 120);
+  const northing = UTM_K0 * (M + N * tan * (A*A/2
+    + (5 - T + 9*C + 4*C*C) * A**4 / 24
+    + (61 - 58*T + T*T + 600*C - 330*ep2) * A**6 / 720));
+  const band = 'CDEFGHJKLMNPQRSTUVWXX'[clamp(Math.floor((lat + 80) / 8), 0, 20)];
+  return { zone, band, easting, northing };
+}
+
+// "17T 630084 4833438", "zone 17 630084E 4833438N", "17N 630084 4833438"
+function parseUTMQuery(q){
+  const m = q.trim().match(/^(?:zone\s*)?(\d{1,2})\s*([C-X])?[\s,]+(\d{6}(?:\.\d+)?)\s*m?\s*E?[\s,]+(\d{7}(?:\.\d+)?)\s*m?\s*N?$/i);
+  if (!m) return null;
+  const zone = Number(m[1]);
+  if (!UTM_ZONES.includes(zone)) return { error: `UTM zone ${zone} is outside Ontario (zones 15–18).` };
+  const ll = utmToLatLng(zone, Number(m[3]), Number(m[4]));
+  if (!(ll.lat > 41 && ll.lat < 63)) return { error: 'That UTM easting/northing is outside Ontario.' };
+  return { ...ll, format: `UTM ${zone}${(m[2] || '').toUpperCase()} NAD83` };
+}
+
+// DD / DMS / DDM: two groups of 1–3 numbers with optional N/S/E/W before or after
+function parseDegreesQuery(q){
+  if (!/^[\s\d.,+\-°º˚'′’"″”NSEWnsew]+$/.test(q) || !/\d/.test(q)) return null;
+  // Bare whole numbers ("12 34", say part of an address) are not taken as
+  // coordinates: need a comma, hemisphere, degree/minute/second mark or a decimal
+  if (!/[,.°º˚'′’"″”NSEWnsew]/.test(q)) return null;
+  const tokens = q.toUpperCase().replace(/[°º˚'′’"″”]/g, ' ').match(/[NSEW]|,|[+-]?\d+(?:\.\d+)?/g) || [];
+  const prefix = /^[NSEW]$/.test(tokens[0]);
+  const groups = [];
+  let cur = { nums: [], hemi: null };
+  const close = () => { if (cur.nums.length) groups.push(cur); cur = { nums: [], hemi: null }; };
+  tokens.forEach(t => {
+    if (t === ',') close();
+    else if (/^[NSEW]$/.test(t)) {
+      if (prefix) { close(); cur.hemi = t; } else { cur.hemi = t; close(); }
+    } else cur.nums.push(Number(t));
+  });
+  close();
+  // "45° 25 17 75° 41 49" — split a run without commas/hemispheres evenly
+  if (groups.length === 1 && [2, 4, 6].includes(groups[0].nums.length)) {
+    const n = groups[0].nums, h = n.length / 2;
+    groups.splice(0, 1, { nums: n.slice(0, h), hemi: null }, { nums: n.slice(h), hemi: groups[0].hemi });
+  }
+  if (groups.length !== 2 || groups.some(g => g.nums.length > 3)) return null;
+
+  const toDeg = ({ nums: [d, m = 0, s = 0], hemi }) => {
+    if (m < 0 || m >= 60 || s < 0 || s >= 60) return NaN;
+    if ((m || s) && !Number.isInteger(d)) return NaN;
+    const v = Math.abs(d) + m / 60 + s / 3600;
+    return (d < 0 || Object.is(d, -0) || hemi === 'S' || hemi === 'W') ? -v : v;
+  };
+  let [g1, g2] = groups;
+  if (g1.hemi === 'E' || g1.hemi === 'W' || g2.hemi === 'N' || g2.hemi === 'S') [g1, g2] = [g2, g1];
+  let lat = toDeg(g1), lng = toDeg(g2);
+  // Unmarked "lng, lat" order: obvious when |first| > 90, or an Ontario longitude comes first
+  const lngFirst = Math.abs(lat) > 90 || (lat < -73 && lat > -96 && lng > 41 && lng < 63);
+  if (!g1.hemi && !g2.hemi && lngFirst && Math.abs(lng) <= 90) [lat, lng] = [lng, lat];
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  // Unsigned Ontario longitudes ("45.42 75.69") are west
+  let note = '';
+  if (!g2.hemi && lng > 0 && lat > 41 && lat < 63 && lng > 73 && lng < 96) { lng = -lng; note = ' (assumed W)'; }
+  const dms = groups.some(g => g.nums.length > 1);
+  return { lat, lng, format: (dms ? 'DMS' : 'Decimal degrees') + note };
+}
+
+function parseCoordinateQuery(q){
+  return parseUTMQuery(q) || parseDegreesQuery(q);
+}
+
+let lastCoordinate = null;   // what the search marker's "Drop pin" button refers to
+
+function goToCoordinate(c){
+  lastCoordinate = c;
+  map.setView([c.lat, c.lng], Math.max(map.getZoom(), 15));
+  if (searchMarker) map.removeLayer(searchMarker);
+  searchMarker = L.marker([c.lat, c.lng]).addTo(map)
+    .bindPopup(`<div style="min-width:180px">
+        <div style="font-weight:600;margin-bottom:4px">${esc(formatCoords(c.lat, c.lng))}</div>
+        <div style="font-size:.85rem;opacity:.7;margin-bottom:.5rem">From ${esc(c.format)}</div>
+        <button class="btn coord-pin-btn">📍 Drop pin here</button>
+      </div>`)
+    .openPopup();
+}
+
+function dropPinAtCoordinate(c){
+  addPinAt(c.lat, c.lng);
+  if (searchMarker) { map.removeLayer(searchMarker); searchMarker = null; }
+}
+
+map.on('popupopen', (e) => {
+  if (!searchMarker || e.popup !== searchMarker.getPopup()) return;
+  e.popup.getElement()?.querySelector('.coord-pin-btn')?.addEventListener('click', () => {
+    if (lastCoordinate) dropPinAtCoordinate(lastCoordinate);
+  });
+});
+
+// --- Live crosshair readout + coordinate format setting --------------------
+const coordReadoutText = document.getElementById('coordReadoutText');
+const coordCopyBtn     = document.getElementById('coordCopyBtn');
+let coordReadoutFrame = 0;
+
+function updateCoordReadout(){
+  coordReadoutFrame = 0;
+  if (!coordReadoutText) return;
+  const c = map.getCenter();
+  coordReadoutText.textContent = formatCoords(c.lat, c.lng);
+}
+map.on('move', () => {
+  if (!coordReadoutFrame) coordReadoutFrame = requestAnimationFrame(updateCoordReadout);
+});
+
+async function copyText(text){
+  try { await navigator.clipboard.writeText(text); return true; }
+  catch {
+    // Older WebViews: copy via a temporary selection
+    const ta = Object.assign(document.createElement('textarea'), { value: text });
+    ta.style.position = 'fixed'; ta.style.opacity = '0';
+    document.body.appendChild(ta);
+    ta.select();
+    let ok = false;
+    try { ok = document.execCommand('copy'); } catch {}
+    ta.remove();
+    return ok;
+  }
+}
+
+coordCopyBtn?.addEventListener('click', async () => {
+  const ok = await copyText(coordReadoutText?.textContent || '');
+  coordCopyBtn.textContent = ok ? '✓' : '✕';
+  setTimeout(() => { coordCopyBtn.textContent = '⧉'; }, 1200);
+});
+
+function setCoordFormat(format){
+  coordFormat = COORD_FORMATS.includes(format) ? format : 'dd';
+  updateCoordReadout();
+  renderPinList();
+}
+updateCoordReadout();
+
+// ---------------------------------------------------------------------------
+// "What's here?" — long-press (touch) or right-click on the map opens a card
+// with coordinates, DEM elevation, the nearest named place, CLUPA designation
+// and the closest access point / stocked lake / trail segment.
+// ---------------------------------------------------------------------------
+const NOMINATIM_REVERSE_URL = 'https://nominatim.openstreetmap.org/reverse';
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+function bearingDeg(from, to){
+  const toRad = d => d * Math.PI / 180;
+  const dLng = toRad(to.lng - from.lng);
+  const y = Math.sin(dLng) * Math.cos(toRad(to.lat));
+  const x = Math.cos(toRad(from.lat)) * Math.sin(toRad(to.lat)) - Math.sin(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+const compassPoint = deg => COMPASS_POINTS[Math.round(deg / 45) % 8];
+
+function nearestPointLayer(layers, latlng){
+  let best = null;
+  layers.forEach(layer => {
+    const ll = layer.getLatLng?.();
+    if (!ll) return;
+    const d = distLL(latlng, ll);
+    if (!best || d < best.distM) best = { layer, distM: d };
+  });
+  return best;
+}
+
+async function reverseGeocodeName(latlng){
+  const url = `${NOMINATIM_REVERSE_URL}?format=jsonv2&zoom=14&lat=${latlng.lat.toFixed(6)}&lon=${latlng.lng.toFixed(6)}`;
+  const res = await fetch(url, { headers: { 'Accept-Language': 'en,fr' } });
+  if (!res.ok) throw new Error(`Reverse geocode HTTP ${res.status}`);
+  const json = await res.json();
+  if (!json?.display_name) return null;
+  return json.display_name.split(',').slice(0, 3).map(s => s.trim()).join(', ');
+}
+
+// CLUPA layers 4 (overlay) and 5 (provincial), whether or not they are shown
+function identifyCLUPAAt(latlng){
+  return new Promise((resolve, reject) => {
+    if (!L.esri?.identifyFeatures) { reject(new Error('Esri Leaflet not loaded')); return; }
+    L.esri.identifyFeatures({ url: CLUPA_SERVICE_URL })
+      .on(map).at(latlng).layers('all:4,5').tolerance(2).returnGeometry(false)
+      .run((err, fc) => (err ? reject(err) : resolve(fc?.features || [])));
+  });
+}
+
+function whatHereRow(slot, label){
+  return `<div><b>${label}:</b> <span data-what="${slot}" class="muted">…</span></div>`;
+}
+
+function fillWhatHere(root, slot, html){
+  const el = root.querySelector(`[data-what="${slot}"]`);
+  if (el) { el.innerHTML = html; el.classList.remove('muted'); }
+}
+
+function nearbyHtml(kind, name, distM, from, to){
+  return `<a href="#" data-what-go="${kind}">${esc(name)}</a> · ${fmtDistance(distM)} ${compassPoint(bearingDeg(from, to))}`;
+}
+
+async function showWhatHere(latlng){
+  const card = document.createElement('div');
+  card.className = 'what-here';
+  card.innerHTML = `
+    <div class="what-here-coords"><b>${esc(formatCoords(latlng.lat, latlng.lng))}</b>
+      <button class="icon-btn" data-what-action="copy" title="Copy coordinates">⧉</button></div>
+    ${whatHereRow('elev', 'Elevation')}
+    ${whatHereRow('place', 'Near')}
+    ${whatHereRow('clupa', 'Crown land')}
+    ${whatHereRow('access', 'Access point')}
+    ${whatHereRow('stocked', 'Stocked lake')}
+    ${whatHereRow('trail', 'Trail')}
+    <div class="row" style="margin-top:6px;"><button class="btn" data-what-action="pin">📍 Drop pin here</button></div>`;
+  L.popup({ maxWidth: 320, className: 'what-here-popup' }).setLatLng(latlng).setContent(card).openOn(map);
+
+  const targets = {};   // kind → function that reveals the feature
+  card.addEventListener('click', (e) => {
+    const go = e.target.closest('[data-what-go]')?.dataset.whatGo;
+    if (go) { e.preventDefault(); targets[go]?.(); return; }
+    const action = e.target.closest('[data-what-action]')?.dataset.whatAction;
+    if (action === 'copy') copyText(formatCoords(latlng.lat, latlng.lng));
+    if (action === 'pin') { addPinAt(latlng.lat, latlng.lng); map.closePopup(); }
+  });
+
+  demSampleElevations([latlng])
+    .then(([v]) => fillWhatHere(card, 'elev', Number.isFinite(v) ? `${Math.round(v)} m (Ontario DEM)` : 'No DEM value here'))
+    .catch(() => fillWhatHere(card, 'elev', 'Unavailable offline'));
+
+  reverseGeocodeName(latlng)
+    .then(name => fillWhatHere(card, 'place', name ? esc(name) : 'No named place nearby'))
+    .catch(() => fillWhatHere(card, 'place', 'Unavailable offline'));
+
+  identifyCLUPAAt(latlng)
+    .then(features => fillWhatHere(card, 'clupa', features.length
+      ? features.map(f => {
+          const p = f.properties || {};
+          const name = p.NAME_ENG || p.NAME_FR || 'Area';
+          const des = p.DESIGNATION_ENG || p.CATEGORY_ENG;
+          return esc(des && des !== name ? `${name} (${des})` : name);
+        }).join('<br>')
+      : 'Not in a CLUPA area'))
+    .catch(() => fillWhatHere(card, 'clupa', 'Unavailable offline'));
+
+  await ensureLocalDatasets();
+  const access = nearestPointLayer(accessLayer.getLayers(), latlng);
+  if (access) {
+    targets.access = () => { showPointKind('access', showAccess); openPointMarker('access', access.layer); };
+    fillWhatHere(card, 'access', nearbyHtml('access', accessListName(access.layer.feature?.properties), access.distM, latlng, access.layer.getLatLng()));
+  } else fillWhatHere(card, 'access', accessLoaded ? 'None (check access filters)' : 'Not loaded');
+
+  const stocked = nearestPointLayer(stockedLayer.getLayers(), latlng);
+  if (stocked) {
+    targets.stocked = () => { showPointKind('stocked', showStocked); openPointMarker('stocked', stocked.layer); };
+    fillWhatHere(card, 'stocked', nearbyHtml('stocked', stockedWaterbodyName(stocked.layer.feature?.properties), stocked.distM, latlng, stocked.layer.getLatLng()));
+  } else fillWhatHere(card, 'stocked', 'Not loaded');
+
+  const graph = getRouteGraph();
+  const trail = graph.edges.length ? snapToTrail(graph, latlng) : null;
+  if (trail) {
+    const layer = trail.edge.layer;
+    targets.trail = () => {
+      if (showTrails && !showTrails.checked) { showTrails.checked = true; showTrails.dispatchEvent(new Event('change')); }
+      map.setView(trail.point, Math.max(map.getZoom(), 14));
+      layer.openPopup(trail.point);
+    };
+    const name = trailProp(layer.feature?.properties, 'name') || 'Unnamed segment';
+    fillWhatHere(card, 'trail', nearbyHtml('trail', name, trail.distM, latlng, trail.point));
+  } else fillWhatHere(card, 'trail', 'Trail network not loaded');
+}
+
+// Right-click, or a touch long-press (native on Android, Leaflet's tapHold on iOS)
+map.on('contextmenu', (e) => showWhatHere(e.latlng));
+
+// ---------------------------------------------------------------------------
+// Near me — closest access points and stocked lakes from the GPS fix (or the
+// map centre without one), honouring the attribute filters. Refreshed as the
+// fix or view changes while the Search tab is open.
+// ---------------------------------------------------------------------------
+const NEAR_ME_LIMIT = 12;
+const NEAR_ME_MIN_INTERVAL_MS = 2000;
+const nearMeListEl   = document.getElementById('nearMeList');
+const nearMeOriginEl = document.getElementById('nearMeOrigin');
+const nearAccessCk   = document.getElementById('nearAccess');
+const nearStockedCk  = document.getElementById('nearStocked');
+let nearMeHits = [];
+let nearMeTimer = null, nearMeLastAt = 0;
+
+function nearMeVisible(){
+  return !!nearMeListEl && !!document.getElementById('tab-search')?.classList.contains('active');
+}
+
+function nearMeCandidates(origin){
+  const out = [];
+  if (nearAccessCk?.checked !== false) {
+    accessLayer.eachLayer(layer => out.push({ kind: 'access', layer, name: accessListName(layer.feature?.properties) }));
+  }
+  if (nearStockedCk?.checked !== false) {
+    // one row per waterbody location, not per stocking event
+    const seen = new Set();
+    stockedLayer.eachLayer(layer => {
+      const name = stockedWaterbodyName(layer.feature?.properties);
+      const ll = layer.getLatLng();
+      const key = `${name}@${ll.lat.toFixed(3)},${ll.lng.toFixed(3)}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      out.push({ kind: 'stocked', layer, name });
+    });
+  }
+  out.forEach(c => {
+    const ll = c.layer.getLatLng();
+    c.distM = distLL(origin, ll);
+    c.bearing = bearingDeg(origin, ll);
+  });
+  return out.sort((a, b) => a.distM - b.distM).slice(0, NEAR_ME_LIMIT);
+}
+
+async function renderNearMe(){
+  nearMeTimer = null;
+  if (!nearMeVisible()) return;
+  nearMeLastAt = Date.now();
+  await ensureLocalDatasets();
+  const fix = you?.getLatLng();
+  const hasFix = !!fix && (fix.lat || fix.lng);
+  const origin = hasFix ? fix : map.getCenter();
+  if (nearMeOriginEl) nearMeOriginEl.textContent = hasFix ? 'From your GPS position' : 'From the map centre (no GPS fix)';
+  nearMeHits = nearMeCandidates(origin);
+  nearMeListEl.innerHTML = nearMeHits.length
+    ? nearMeHits.map((h, i) => `
+        <div class="item near-item" data-near="${i}">
+          <span class="near-arrow" style="transform:rotate(${Math.round(h.bearing)}deg)" aria-hidden="true">↑</span>
+          <span class="near-main"><span class="src-badge src-${h.kind}">${LOCAL_SOURCE_BADGES[h.kind]}</span>${esc(h.name)}</span>
+          <span class="near-dist">${fmtDistance(h.distM)} ${compassPoint(h.bearing)}</span>
+        </div>`).join('')
+    : `<div class="empty">${accessLoaded || stockedLoaded ? 'Nothing matches the current filters.' : 'Access points and stocked lakes are not loaded.'}</div>`;
+}
+
+// Coalesce GPS fixes / map moves into at most one redraw per interval
+function scheduleNearMe(){
+  if (nearMeTimer || !nearMeVisible()) return;
+  const wait = Math.max(0, NEAR_ME_MIN_INTERVAL_MS - (Date.now() - nearMeLastAt));
+  nearMeTimer = setTimeout(renderNearMe, wait);
+}
+
+nearMeListEl?.addEventListener('click', (e) => {
+  const h = nearMeHits[Number(e.target.closest('[data-near]')?.dataset.near)];
+  if (!h) return;
+  showPointKind(h.kind, h.kind === 'access' ? showAccess : showStocked);
+  openPointMarker(h.kind, h.layer);
+});
+[nearAccessCk, nearStockedCk].forEach(ck => ck?.addEventListener('change', renderNearMe));
+document.getElementById('nearMeRefreshBtn')?.addEventListener('click', renderNearMe);
+document.querySelector('.tab-btn[data-tab="tab-search"]')?.addEventListener('click', renderNearMe);
+map.on('moveend', () => { if (!you) scheduleNearMe(); });
+scheduleNearMe();   // Search may be the restored tab
+
+  // ---------------------------------------------------------------------------
+  // Locate / Follow / Reset View
+  // ---------------------------------------------------------------------------
+  const locateBtn    = document.getElementById('locateBtn');
+  const followBtn    = document.getElementById('followBtn');
+  const resetViewBtn = document.getElementById('resetViewBtn');
+
+  const LOCATE_ZOOM = 15; // how far to zoom on locate
+
+
+  let watching = false, watchId = null, follow = false, you = null;
+
+  function ensureMarker() {
+    if (!you) you = L.circleMarker([0,0], { radius: 6, color: '#ff00a8' }).addTo(map);
+    return you;
+  }
+
+ function startLocate(centerOnFix = false) {
   if (watching) return;
   if (!('geolocation' in navigator)) { alert('Geolocation not supported'); return; }
   watching = true;
 
-  let centerOnce = centerOnFix;  // <-- capture the intent for the first fix
+  let centerOnce = centerOnFix;  // <-- capture the intent for the first fix
+
+  watchId = navigator.geolocation.watchPosition(
+    (pos) => {
+      const { latitude, longitude } = pos.coords;
+      ensureMarker().setLatLng([latitude, longitude]);
+
+      // Recenter if Follow is on OR this locate-click requested a one-time center
+      if (follow || centerOnce) {
+        map.setView([latitude, longitude], Math.max(map.getZoom(), LOCATE_ZOOM));
+        centerOnce = false; // only once per locate click
+      }
+
+      // Track recorder hook stays as-is
+      onGeoPosition(pos);
+      scheduleNearMe();
+    },
+    (err) => console.warn('Geolocation error:', err),
+    { enableHighAccuracy: true, maximumAge: 5000, timeout: 15000 }
+  );
+  if (locateBtn) locateBtn.disabled = true;
+}
+
+
+locateBtn?.addEventListener('click', () => {
+  if (!watching) {
+    // Start GNSS and recenter on the first fix
+    startLocate(true);
+  } else {
+    // Already watching: if we have a current position marker, recenter now
+    if (you) {
+      map.setView(you.getLatLng(), Math.max(map.getZoom(), LOCATE_ZOOM));
+    } else {
+      // No marker yet? request a one-time center on next fix
+      startLocate(true);
+    }
+  }
+});
+
+  followBtn?.addEventListener('click', () => {
+    follow = !follow;
+    if (followBtn) followBtn.textContent = follow ? '▶️ Follow: On' : '▶️ Follow: Off';
+    if (follow && you) map.setView(you.getLatLng());
+  });
+  const HOME = { center: [45.4215, -75.6972], zoom: 11 };
+  resetViewBtn?.addEventListener('click', () => {
+    follow = false;
+    if (followBtn) followBtn.textContent = '▶️ Follow: Off';
+    map.setView(HOME.center, HOME.zoom);
+  });
+
+
+  // ---------------------------------------------------------------------------
+  
+  // ---------------------------------------------------------------------------
+
+// ---------------------------------------------------------------------------
+// Track Recorder (Start/Stop, Pause/Resume, New, Save) + live stats
+// IDs: trackStartBtn, trackPauseBtn, trackClearBtn, trackSaveBtn, trackStats
+// ---------------------------------------------------------------------------
+const trackLayer = L.layerGroup().addTo(map);
+// Multi-polyline: one ring per segment (a new one after each Pause/Stop)
+let trackLine = L.polyline([[]], { color: '#ff00a8', weight: 3, opacity: 0.9 }).addTo(trackLayer);
+let trackStartMarker = null;
+let trackEndMarker = null;
+
+let trackSegments = [];      // [[{lat,lng,t,acc,ele,speed,heading}], ...] — one array per <trkseg>
+let segmentOpen = false;     // false → next accepted fix starts a new segment
+let recording = false;       // recorder running or paused
+let paused = false;
+let recStartedAt = null;
+let totalDistanceM = 0;
+let activeMs = 0;            // recorded time, excluding pauses and stops
+let runStartedAt = null;     // start of the current un-paused run
+let movingMs = 0;
+let currentSpeedMps = null;
+let statsTimer = null;
+let currentTrackId = null;   // IndexedDB id of the in-progress track
+let lastMetaSaveAt = 0;
+
+const MOVING_SPEED_MPS = 0.5; // slower than this between fixes counts as stopped
+
+const btnStart = document.getElementById('trackStartBtn');
+const btnPause = document.getElementById('trackPauseBtn');
+const btnClear = document.getElementById('trackClearBtn');
+const btnSave  = document.getElementById('trackSaveBtn');
+const trackStatsEl = document.getElementById('trackStats');
+const trackDemFillCk = document.getElementById('trackDemFill');
+
+function distLL(a,b){ // meters (haversine)
+  const R=6371000, toRad=d=>d*Math.PI/180;
+  const dLat = toRad(b.lat-a.lat), dLng = toRad(b.lng-a.lng);
+  const s1=Math.sin(dLat/2), s2=Math.sin(dLng/2);
+  const q=s1*s1 + Math.cos(toRad(a.lat))*Math.cos(toRad(b.lat))*s2*s2;
+  return 2*R*Math.asin(Math.min(1,Math.sqrt(q)));
+}
+function trackPointCount(){ return trackSegments.reduce((n, seg) => n + seg.length, 0); }
+function lastTrackPoint(){
+  const seg = trackSegments[trackSegments.length-1];
+  return seg ? seg[seg.length-1] : null;
+}
+function ensureStartMarker(latlng){
+  if (!trackStartMarker) {
+    trackStartMarker = L.circleMarker(latlng, { radius: 6, color: '#15b374', fillColor:'#15b374', fillOpacity: 0.9 })
+      .bindTooltip('Start').addTo(trackLayer);
+  }
+}
+function updateEndMarker(latlng){
+  if (!trackEndMarker) {
+    trackEndMarker = L.circleMarker(latlng, { radius: 6, color: '#c23b22', fillColor:'#c23b22', fillOpacity: 0.9 })
+      .bindTooltip('End').addTo(trackLayer);
+  } else {
+    trackEndMarker.setLatLng(latlng);
+  }
+}
+function enableSaveIfReady(){
+  // enable when there’s something to save (>=2 points)
+  const n = trackPointCount();
+  if (btnSave)  btnSave.disabled  = n < 2;
+  if (btnClear) btnClear.disabled = n === 0 && !recording;
+}
+function addTrackPoint(pt, { journal = true } = {}){
+  if (!segmentOpen) {
+    trackSegments.push([]);
+    const rings = trackLine.getLatLngs();
+    if (trackSegments.length > 1 || rings[0]?.length) trackLine.setLatLngs([...rings, []]);
+    segmentOpen = true;
+  }
+  const seg = trackSegments[trackSegments.length-1];
+  const last = seg[seg.length-1];
+  seg.push(pt);
+  const rings = trackLine.getLatLngs();
+  trackLine.addLatLng([pt.lat, pt.lng], rings[rings.length-1]);
+
+  if (last) {
+    // Distance and moving time only accrue within a segment (no jumps across pauses)
+    const d = distLL(last, pt);
+    const dt = pt.t - last.t;
+    totalDistanceM += d;
+    if (dt > 0 && d / (dt / 1000) >= MOVING_SPEED_MPS) movingMs += dt;
+    currentSpeedMps = Number.isFinite(pt.speed) ? pt.speed : (dt > 0 ? d / (dt / 1000) : currentSpeedMps);
+  } else if (trackSegments.length === 1) {
+    ensureStartMarker([pt.lat, pt.lng]);
+  }
+  updateEndMarker([pt.lat, pt.lng]);
+  enableSaveIfReady();
+  renderTrackStats();
+  if (journal) journalTrackPoint(pt, trackSegments.length - 1);
+  scheduleProfileRedraw();
+}
+
+// --- GPS fix filtering --------------------------------------------------------
+// Per-activity defaults; the Track tab lets you tune them (persisted as gps:filter).
+const GPS_FILTER_PROFILES = {
+  hike:  { maxAccuracyM: 30, maxSpeedKmh: 12, gapS: 30 },
+  bike:  { maxAccuracyM: 30, maxSpeedKmh: 70, gapS: 20 },
+  canoe: { maxAccuracyM: 40, maxSpeedKmh: 20, gapS: 60 }
+};
+const GPS_FILTER_KEY   = 'gps:filter';
+const REACQUIRE_MS     = 15000; // after a gap, speed checks are relaxed this long
+const REANCHOR_AFTER   = 3;     // consecutive speed rejections before trusting the new fixes
+const SMOOTH_Q_FACTOR  = 0.5;   // smoothing process noise as a fraction of max speed
+
+let gpsFilter = { activity: 'hike', smooth: false, ...GPS_FILTER_PROFILES.hike };
+let rejectedFixes = { accuracy: 0, speed: 0, duplicate: 0 };
+let speedRejectRun = 0;
+let reacquireUntil = 0;
+let smoothState = null;         // { lat, lng, variance, t } — reset per segment
+
+const gpsActivitySel  = document.getElementById('gpsActivity');
+const gpsMaxAccInput  = document.getElementById('gpsMaxAccuracy');
+const gpsMaxSpeedInput= document.getElementById('gpsMaxSpeed');
+const gpsGapInput     = document.getElementById('gpsGap');
+const gpsSmoothCk     = document.getElementById('gpsSmooth');
+
+function rejectFix(reason){
+  rejectedFixes[reason] = (rejectedFixes[reason] || 0) + 1;
+  renderTrackStats();
+}
+
+// Returns true if the fix should be recorded
+function acceptFix(fix, last){
+  if (Number.isFinite(fix.acc) && fix.acc > gpsFilter.maxAccuracyM) { rejectFix('accuracy'); return false; }
+  if (!last) return true;
+
+  const dt = (fix.t - last.t) / 1000;
+  if (dt <= 0) { rejectFix('duplicate'); return false; }
+
+  // A long silence means the receiver is re-acquiring: don't judge the first
+  // fixes against a stale position.
+  if (dt > gpsFilter.gapS) reacquireUntil = fix.t + REACQUIRE_MS;
+  if (fix.t <= reacquireUntil) { speedRejectRun = 0; return true; }
+
+  const impliedKmh = distLL(last, fix) / dt * 3.6;
+  if (impliedKmh > gpsFilter.maxSpeedKmh) {
+    // Several consistent "too fast" fixes in a row: the old anchor was the outlier
+    if (++speedRejectRun < REANCHOR_AFTER) { rejectFix('speed'); return false; }
+  }
+  speedRejectRun = 0;
+  return true;
+}
+
+// Simple accuracy-weighted Kalman smoothing (independent lat/lng, metres variance)
+function smoothFix(fix){
+  const acc = Math.max(1, Number.isFinite(fix.acc) ? fix.acc : gpsFilter.maxAccuracyM);
+  if (!smoothState) {
+    smoothState = { lat: fix.lat, lng: fix.lng, variance: acc * acc, t: fix.t };
+    return fix;
+  }
+  const dt = Math.max(0, (fix.t - smoothState.t) / 1000);
+  const q = gpsFilter.maxSpeedKmh / 3.6 * SMOOTH_Q_FACTOR;
+  smoothState.variance += dt * q * q;
+  const k = smoothState.variance / (smoothState.variance + acc * acc);
+  smoothState.lat += k * (fix.lat - smoothState.lat);
+  smoothState.lng += k * (fix.lng - smoothState.lng);
+  smoothState.variance *= (1 - k);
+  smoothState.t = fix.t;
+  return { ...fix, lat: smoothState.lat, lng: smoothState.lng };
+}
+
+function readGpsFilterInputs(){
+  const num = (el, dflt) => { const v = Number(el?.value); return Number.isFinite(v) && v > 0 ? v : dflt; };
+  const base = GPS_FILTER_PROFILES[gpsActivitySel?.value] || GPS_FILTER_PROFILES.hike;
+  gpsFilter = {
+    activity: gpsActivitySel?.value || 'hike',
+    maxAccuracyM: num(gpsMaxAccInput, base.maxAccuracyM),
+    maxSpeedKmh:  num(gpsMaxSpeedInput, base.maxSpeedKmh),
+    gapS:         num(gpsGapInput, base.gapS),
+    smooth:       !!gpsSmoothCk?.checked
+  };
+  setSetting(GPS_FILTER_KEY, gpsFilter);
+}
+function writeGpsFilterInputs(){
+  if (gpsActivitySel)   gpsActivitySel.value   = gpsFilter.activity;
+  if (gpsMaxAccInput)   gpsMaxAccInput.value   = gpsFilter.maxAccuracyM;
+  if (gpsMaxSpeedInput) gpsMaxSpeedInput.value = gpsFilter.maxSpeedKmh;
+  if (gpsGapInput)      gpsGapInput.value      = gpsFilter.gapS;
+  if (gpsSmoothCk)      gpsSmoothCk.checked    = gpsFilter.smooth;
+}
+// Called from the settings block once the store is loaded
+function restoreGpsFilter(){
+  const saved = _settings[GPS_FILTER_KEY];
+  if (saved && typeof saved === 'object') gpsFilter = { ...gpsFilter, ...saved };
+  writeGpsFilterInputs();
+}
+
+gpsActivitySel?.addEventListener('change', () => {
+  gpsFilter = { ...gpsFilter, activity: gpsActivitySel.value, ...GPS_FILTER_PROFILES[gpsActivitySel.value] };
+  writeGpsFilterInputs();
+  readGpsFilterInputs();
+});
+[gpsMaxAccInput, gpsMaxSpeedInput, gpsGapInput, gpsSmoothCk]
+  .forEach(el => el?.addEventListener('change', readGpsFilterInputs));
+
+// Called by geolocation watcher (see step #1)
+function onGeoPosition(pos){
+  if (!recording || paused) return;
+  const { latitude:lat, longitude:lng, accuracy:acc, altitude, altitudeAccuracy, speed, heading } = pos.coords || {};
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+
+  // Browsers report null for anything the device can't measure
+  const num = v => (Number.isFinite(v) ? v : null);
+  let fix = {
+    lat, lng,
+    t: Number.isFinite(pos.timestamp) ? pos.timestamp : Date.now(),
+    acc: num(acc),
+    ele: num(altitude),
+    eleAcc: num(altitudeAccuracy),
+    speed: num(speed),
+    heading: num(heading)
+  };
+
+  // Filters compare against the previous fix of the same segment only
+  const last = segmentOpen ? lastTrackPoint() : null;
+  if (!last) { smoothState = null; speedRejectRun = 0; }
+  if (!acceptFix(fix, last)) return;
+  if (gpsFilter.smooth) fix = smoothFix(fix);
+
+  addTrackPoint(fix);
+}
+
+// --- Live stats -------------------------------------------------------------
+function fmtDuration(ms){
+  const s = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60), sec = s % 60;
+  return `${h}:${String(m).padStart(2,'0')}:${String(sec).padStart(2,'0')}`;
+}
+function fmtDistance(m){
+  if (!Number.isFinite(m)) return '—';
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(2)} km`;
+}
+function fmtSpeed(mps){
+  return Number.isFinite(mps) ? `${(mps * 3.6).toFixed(1)} km/h` : '—';
+}
+function elapsedMs(){
+  return activeMs + (runStartedAt ? Date.now() - runStartedAt : 0);
+}
+function renderTrackStats(){
+  if (!trackStatsEl) return;
+  const stats = {
+    elapsed:  fmtDuration(elapsedMs()),
+    moving:   fmtDuration(movingMs),
+    distance: fmtDistance(totalDistanceM),
+    speed:    (recording && !paused) ? fmtSpeed(currentSpeedMps) : '—',
+    avg:      movingMs > 0 ? fmtSpeed(totalDistanceM / (movingMs / 1000)) : '—',
+    points:   trackPointCount().toLocaleString(),
+    rejected: Object.values(rejectedFixes).reduce((a, b) => a + b, 0).toLocaleString()
+  };
+  const rejEl = trackStatsEl.querySelector('[data-stat="rejected"]');
+  if (rejEl) {
+    rejEl.title = `Accuracy: ${rejectedFixes.accuracy} · Speed: ${rejectedFixes.speed} · Duplicate: ${rejectedFixes.duplicate}`;
+  }
+  trackStatsEl.querySelectorAll('[data-stat]').forEach(el => {
+    const v = stats[el.dataset.stat];
+    if (v != null) el.textContent = v;
+  });
+}
+function setStatsTicking(on){
+  clearInterval(statsTimer);
+  statsTimer = on ? setInterval(renderTrackStats, 1000) : null;
+}
+
+// --- Recorder state ---------------------------------------------------------
+function endRun(){
+  if (runStartedAt) activeMs += Date.now() - runStartedAt;
+  runStartedAt = null;
+}
+function updateTrackButtons(){
+  if (btnStart) btnStart.textContent = recording ? '■ Stop' : '● Start';
+  if (btnPause) {
+    btnPause.disabled = !recording;
+    btnPause.textContent = paused ? '▶ Resume' : '❚❚ Pause';
+  }
+  enableSaveIfReady();
+}
+function startRecording(){
+  if (recording) return;
+  recording = true;
+  paused = false;
+  segmentOpen = false;                      // Start after Stop continues in a new segment
+  if (!recStartedAt) recStartedAt = new Date();
+  runStartedAt = Date.now();
+  if (!watching) startLocate();             // start GNSS if not already
+  setStatsTicking(true);
+  updateTrackButtons();
+  renderTrackStats();
+  saveTrackMeta();
+}
+function stopRecording(){
+  if (!recording) return;
+  if (!paused) endRun();
+  recording = false;
+  paused = false;
+  segmentOpen = false;
+  setStatsTicking(false);
+  updateTrackButtons(); // in case you stop before 2 pts, this will keep Save disabled
+  renderTrackStats();
+  saveTrackMeta();
+}
+function pauseRecording(){
+  if (!recording || paused) return;
+  paused = true;
+  endRun();
+  segmentOpen = false;                      // resume opens a fresh <trkseg>
+  updateTrackButtons();
+  renderTrackStats();
+  saveTrackMeta();
+}
+function resumeRecording(){
+  if (!recording || !paused) return;
+  paused = false;
+  runStartedAt = Date.now();
+  updateTrackButtons();
+  renderTrackStats();
+}
+function resetRecorder(){
+  stopRecording();
+  trackSegments = [];
+  segmentOpen = false;
+  recStartedAt = null;
+  totalDistanceM = 0;
+  activeMs = 0;
+  movingMs = 0;
+  currentSpeedMps = null;
+  currentTrackId = null;
+  rejectedFixes = { accuracy: 0, speed: 0, duplicate: 0 };
+  speedRejectRun = 0;
+  reacquireUntil = 0;
+  smoothState = null;
+  trackLine.setLatLngs([[]]);
+  if (trackStartMarker) { trackLayer.removeLayer(trackStartMarker); trackStartMarker = null; }
+  if (trackEndMarker)   { trackLayer.removeLayer(trackEndMarker);   trackEndMarker = null; }
+  updateTrackButtons();
+  renderTrackStats();
+  scheduleProfileRedraw();
+}
+
+// "New track": the current one moves into the library (or is dropped if empty)
+async function finishTrack(){
+  const id = currentTrackId;
+  const enough = trackPointCount() >= 2;
+  const summary = enough ? trackSummary() : null;
+  const segments = trackSegments.filter(seg => seg.length);
+  resetRecorder();
+  if (!id) return;
+  try {
+    if (enough) {
+      const meta = await idbGet('tracks', id);
+      await idbPut('tracks', { ...meta, ...summary, id, status: 'saved', segments });
+    } else {
+      await idbDelete('tracks', id);
+    }
+    await idbDeleteByIndex('trackPoints', 'trackId', id);
+  } catch (err) {
+    console.warn('Track library update failed:', err);
+  }
+  renderTrackLibrary();
+}
+
+// GPX has no metres-accuracy field; <hdop> is approximated as accuracy / UERE
+// and the raw values go into extensions (Garmin TPX v2 for speed/course).
+const GPS_UERE_M = 5;
+const GPX_NS_TPX = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2';
+const GPX_NS_OT  = 'urn:ontario-trails:gpx-ext:1';
+
+function gpxTrackPoint(p){
+  // Child order follows the GPX 1.1 wptType sequence: ele, time, hdop, extensions
+  let xml = `<trkpt lat="${p.lat.toFixed(6)}" lon="${p.lng.toFixed(6)}">`;
+  if (Number.isFinite(p.ele)) xml += `<ele>${p.ele.toFixed(1)}</ele>`;
+  xml += `<time>${new Date(p.t).toISOString()}</time>`;
+  if (Number.isFinite(p.acc)) xml += `<hdop>${(p.acc / GPS_UERE_M).toFixed(1)}</hdop>`;
+
+  let tpx = '';
+  if (Number.isFinite(p.speed))   tpx += `<gpxtpx:speed>${p.speed.toFixed(2)}</gpxtpx:speed>`;
+  if (Number.isFinite(p.heading)) tpx += `<gpxtpx:course>${p.heading.toFixed(1)}</gpxtpx:course>`;
+  let ext = tpx ? `<gpxtpx:TrackPointExtension>${tpx}</gpxtpx:TrackPointExtension>` : '';
+  if (Number.isFinite(p.acc))    ext += `<ot:accuracy>${p.acc.toFixed(1)}</ot:accuracy>`;
+  if (Number.isFinite(p.eleAcc)) ext += `<ot:eleAccuracy>${p.eleAcc.toFixed(1)}</ot:eleAccuracy>`;
+  if (p.eleSrc)                  ext += `<ot:eleSource>${esc(p.eleSrc)}</ot:eleSource>`;
+  if (ext) xml += `<extensions>${ext}</extensions>`;
+  return xml + `</trkpt>`;
+}
+function buildTrackGPX(name, segments){
+  const trksegs = segments.filter(seg => seg.length)
+    .map(seg => `<trkseg>${seg.map(gpxTrackPoint).join('')}</trkseg>`)
+    .join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="OntarioTrails" xmlns="http://www.topografix.com/GPX/1/1"
+     xmlns:gpxtpx="${GPX_NS_TPX}" xmlns:ot="${GPX_NS_OT}">
+  <trk><name>${esc(name)}</name>${trksegs}</trk>
+</gpx>`;
+}
+
+// Fill points that have no GPS altitude from the Ontario DEM (in place).
+// Returns how many points were filled.
+async function fillElevationFromDEM(segments){
+  const missing = segments.flat().filter(p => !Number.isFinite(p.ele));
+  if (!missing.length) return 0;
+  const values = await demSampleElevations(missing);
+  let n = 0;
+  missing.forEach((p, i) => {
+    if (Number.isFinite(values[i])) { p.ele = values[i]; p.eleSrc = 'dem'; n++; }
+  });
+  return n;
+}
+
+// Export with the "fill elevation from DEM" option applied
+async function exportTrackGPX(name, segments){
+  if (trackDemFillCk?.checked) {
+    try { await fillElevationFromDEM(segments); }
+    catch (err) { console.warn('DEM elevation fill failed; exporting without it.', err); }
+  }
+  const file = name.replace(/[^\w\-]+/g, '_');
+  downloadText(`${file}.gpx`, buildTrackGPX(name, segments), 'application/gpx+xml');
+}
+function saveTrackGPX(){
+  if (trackPointCount() < 2) return;
+  const name = `track_${new Date().toISOString().replace(/[:.]/g,'-')}`;
+  return exportTrackGPX(name, trackSegments);
+}
+
+btnStart?.addEventListener('click', () => {
+  if (!recording) startRecording(); else stopRecording();
+});
+btnPause?.addEventListener('click', () => {
+  if (paused) resumeRecording(); else pauseRecording();
+});
+btnClear?.addEventListener('click', () => {
+  if (trackPointCount() >= 2 && !confirm('Finish this track and start a new one? It will be kept in the track library.')) return;
+  finishTrack();
+});
+btnSave?.addEventListener('click', saveTrackGPX);
+
+// Init button state (Save disabled until we have >=2 points)
+updateTrackButtons();
+renderTrackStats();
+
+
+// ---------------------------------------------------------------------------
+// Track persistence (IndexedDB): journal every fix, recover unfinished
+// recordings after a reload/crash, and keep a library of finished tracks.
+// ---------------------------------------------------------------------------
+const TRACK_META_INTERVAL_MS = 15000;  // how often running stats are checkpointed
+const trackRecoveryEl = document.getElementById('trackRecovery');
+const trackLibraryEl  = document.getElementById('trackLibrary');
+const libraryLines    = new Map();     // track id → polyline shown on trackLayer
+
+function segmentsDistance(segments){
+  let d = 0;
+  segments.forEach(seg => { for (let i = 1; i < seg.length; i++) d += distLL(seg[i-1], seg[i]); });
+  return d;
+}
+function trackSummary(){
+  return {
+    distanceM: totalDistanceM,
+    durationMs: elapsedMs(),
+    movingMs,
+    points: trackPointCount(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+async function saveTrackMeta(){
+  if (!recStartedAt) return;
+  if (!currentTrackId) currentTrackId = `t${recStartedAt.getTime().toString(36)}`;
+  lastMetaSaveAt = Date.now();
+  try {
+    await idbPut('tracks', {
+      id: currentTrackId,
+      name: `Track ${recStartedAt.toLocaleString()}`,
+      createdAt: recStartedAt.toISOString(),
+      status: recording ? 'recording' : 'stopped',   // paused counts as recording
+      ...trackSummary()
+    });
+  } catch (err) {
+    console.warn('Track journal unavailable:', err);
+  }
+}
+
+function journalTrackPoint(pt, seg){
+  if (!currentTrackId) saveTrackMeta();
+  idbPut('trackPoints', { trackId: currentTrackId, seg, ...pt })
+    .catch(err => console.warn('Track point not journaled:', err));
+  if (Date.now() - lastMetaSaveAt > TRACK_META_INTERVAL_MS) saveTrackMeta();
+}
+
+// Rebuild segments from journal rows (insertion order = recording order)
+function segmentsFromJournal(rows){
+  const bySeg = new Map();
+  rows.forEach(({ trackId, seg, ...pt }) => {
+    if (!bySeg.has(seg)) bySeg.set(seg, []);
+    bySeg.get(seg).push(pt);
+  });
+  return [...bySeg.keys()].sort((a, b) => a - b).map(k => bySeg.get(k));
+}
+
+function loadIntoRecorder(meta, segments){
+  resetRecorder();
+  currentTrackId = meta.id;
+  recStartedAt = new Date(meta.createdAt);
+  segments.forEach(seg => {
+    segmentOpen = false;
+    seg.forEach(pt => addTrackPoint(pt, { journal: false }));
+  });
+  segmentOpen = false;
+  activeMs = meta.durationMs || 0;
+  renderTrackStats();
+}
+
+// Only a track still recording when the page went away asks what to do; one the
+// user had stopped (but not yet moved to the library) is just put back in the recorder.
+async function checkUnfinishedTrack(){
+  if (!trackRecoveryEl) return;
+  let meta = null, rows = [];
+  try {
+    const journal = (await idbGetAll('tracks')).filter(t => t.status === 'recording' || t.status === 'stopped');
+    meta = journal.find(t => t.status === 'recording') || journal[0] || null;
+    if (meta) rows = await idbGetAllByIndex('trackPoints', 'trackId', meta.id);
+  } catch (err) {
+    console.warn('Track recovery check failed:', err);
+    return;
+  }
+  if (!meta) { trackRecoveryEl.hidden = true; return; }
+  if (!rows.length) { idbDelete('tracks', meta.id).catch(() => {}); return; }
+
+  const segments = segmentsFromJournal(rows);
+  if (meta.status === 'stopped') {
+    trackRecoveryEl.hidden = true;
+    if (!recording && !currentTrackId) loadIntoRecorder(meta, segments);
+    return;
+  }
+  trackRecoveryEl.hidden = false;
+  trackRecoveryEl.innerHTML = `
+    <div><b>Unfinished track</b> from ${esc(new Date(meta.createdAt).toLocaleString())}
+      · ${rows.length.toLocaleString()} points · ${fmtDistance(segmentsDistance(segments))}</div>
+    <div class="row">
+      <button class="btn" data-action="resume">▶ Resume</button>
+      <button class="btn" data-action="save">📚 Save to library</button>
+      <button class="btn" data-action="discard">🗑️ Discard</button>
+    </div>`;
+
+  trackRecoveryEl.onclick = async (e) => {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (!action) return;
+    trackRecoveryEl.hidden = true;
+    trackRecoveryEl.onclick = null;
+    if (action === 'resume') {
+      loadIntoRecorder(meta, segments);
+      startRecording();
+    } else if (action === 'save') {
+      loadIntoRecorder(meta, segments);
+      await finishTrack();
+    } else if (action === 'discard' && confirm('Discard the unfinished track?')) {
+      try {
+        await idbDelete('tracks', meta.id);
+        await idbDeleteByIndex('trackPoints', 'trackId', meta.id);
+      } catch (err) { console.warn('Discard failed:', err); }
+    } else {
+      trackRecoveryEl.hidden = false;
+      checkUnfinishedTrack();
+    }
+  };
+}
+
+async function renderTrackLibrary(){
+  if (!trackLibraryEl) return;
+  let tracks = [];
+  try { tracks = (await idbGetAll('tracks')).filter(t => t.status === 'saved'); }
+  catch (err) { trackLibraryEl.innerHTML = `<div class="empty" style="opacity:.8">Track library unavailable.</div>`; return; }
+
+  if (!tracks.length) {
+    trackLibraryEl.innerHTML = `<div class="empty" style="opacity:.8">No saved tracks yet.</div>`;
+    return;
+  }
+  tracks.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  trackLibraryEl.innerHTML = tracks.map(t => `
+    <div class="track-item" data-id="${esc(t.id)}">
+      <div class="track-main" data-action="show">
+        <div style="font-weight:600;line-height:1.2">${libraryLines.has(t.id) ? '👁 ' : ''}${esc(t.name)}</div>
+        <div class="muted" style="font-size:.85rem;opacity:.75">
+          ${esc(new Date(t.createdAt).toLocaleDateString())} · ${fmtDistance(t.distanceM)} · ${fmtDuration(t.durationMs || 0)}
+        </div>
+      </div>
+      <button class="icon-btn" data-action="rename" title="Rename">✏️</button>
+      <button class="icon-btn" data-action="export" title="Export GPX">⬇️</button>
+      <button class="pin-del" data-action="del" title="Delete track">🗑️</button>
+    </div>`).join('');
+}
+
+function toggleLibraryTrack(t){
+  if (libraryLines.has(t.id)) {
+    trackLayer.removeLayer(libraryLines.get(t.id));
+    libraryLines.delete(t.id);
+    renderProfileSources();
+    return;
+  }
+  const line = L.polyline(t.segments.map(seg => seg.map(p => [p.lat, p.lng])),
+    { color: '#7c3aed', weight: 3, opacity: 0.85 })
+    .bindTooltip(t.name)
+    .addTo(trackLayer);
+  libraryLines.set(t.id, line);
+  renderProfileSources();
+  try { map.fitBounds(line.getBounds(), { padding: [24, 24], maxZoom: 16 }); } catch {}
+}
+
+trackLibraryEl?.addEventListener('click', async (e) => {
+  const action = e.target.closest('[data-action]')?.dataset.action;
+  const id = e.target.closest('.track-item')?.dataset.id;
+  if (!action || !id) return;
+  let t;
+  try { t = await idbGet('tracks', id); } catch (err) { console.warn(err); return; }
+  if (!t) return;
+
+  if (action === 'show') {
+    toggleLibraryTrack(t);
+  } else if (action === 'rename') {
+    const name = prompt('Track name', t.name);
+    if (!name || !name.trim()) return;
+    await idbPut('tracks', { ...t, name: name.trim() });
+    libraryLines.get(id)?.setTooltipContent(name.trim());
+  } else if (action === 'export') {
+    await exportTrackGPX(t.name, t.segments);
+    // keep any DEM-filled elevations for next time
+    if (t.segments.some(seg => seg.some(p => p.eleSrc === 'dem'))) await idbPut('tracks', t);
+  } else if (action === 'del') {
+    if (!confirm(`Delete track "${t.name}"?`)) return;
+    if (libraryLines.has(id)) toggleLibraryTrack(t);
+    await idbDelete('tracks', id);
+  }
+  renderTrackLibrary();
+});
+
+checkUnfinishedTrack();
+renderTrackLibrary();
+
+
+// ---------------------------------------------------------------------------
+// Imported overlays (GPX tracks/routes, KML, GeoJSON) — one toggleable layer
+// per file, each with its own colour; persisted in IndexedDB ('overlays').
+// ---------------------------------------------------------------------------
+const OVERLAY_COLORS = ['#e4572e', '#17bebb', '#7c3aed', '#f59e0b', '#2e86ab', '#16a34a', '#db2777'];
+const overlayInput  = document.getElementById('importOverlayInput');
+const overlayListEl = document.getElementById('overlayList');
+const overlayLayers = new Map();   // overlay id → L.GeoJSON on the map
+
+// GeoJSON coordinate helpers: [lon, lat, ele?]
+function xmlCoordsFromPoints(nodes){
+  return Array.from(nodes).map(n => {
+    const lat = parseFloat(n.getAttribute('lat'));
+    const lon = parseFloat(n.getAttribute('lon'));
+    const ele = parseFloat(n.getElementsByTagName('ele')[0]?.textContent);
+    return Number.isFinite(ele) ? [lon, lat, ele] : [lon, lat];
+  }).filter(c => Number.isFinite(c[0]) && Number.isFinite(c[1]));
+}
+function kmlCoords(text){
+  return String(text || '').trim().split(/\s+/).map(t => t.split(',').map(Number))
+    .filter(c => c.length >= 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]))
+    .map(c => (Number.isFinite(c[2]) ? [c[0], c[1], c[2]] : [c[0], c[1]]));
+}
+const childText = (el, tag) => el.getElementsByTagName(tag)[0]?.textContent?.trim() || '';
+
+function parseGPXOverlay(xml){
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const features = [];
+  Array.from(doc.getElementsByTagName('trk')).forEach(trk => {
+    const segs = Array.from(trk.getElementsByTagName('trkseg'))
+      .map(seg => xmlCoordsFromPoints(seg.getElementsByTagName('trkpt')))
+      .filter(c => c.length >= 2);
+    if (!segs.length) return;
+    features.push({
+      type: 'Feature',
+      properties: { name: childText(trk, 'name'), kind: 'track' },
+      geometry: segs.length === 1 ? { type: 'LineString', coordinates: segs[0] } : { type: 'MultiLineString', coordinates: segs }
+    });
+  });
+  Array.from(doc.getElementsByTagName('rte')).forEach(rte => {
+    const coords = xmlCoordsFromPoints(rte.getElementsByTagName('rtept'));
+    if (coords.length < 2) return;
+    features.push({ type: 'Feature', properties: { name: childText(rte, 'name'), kind: 'route' }, geometry: { type: 'LineString', coordinates: coords } });
+  });
+  Array.from(doc.getElementsByTagName('wpt')).forEach(w => {
+    const c = xmlCoordsFromPoints([w])[0];
+    if (c) features.push({ type: 'Feature', properties: { name: childText(w, 'name'), kind: 'waypoint' }, geometry: { type: 'Point', coordinates: c } });
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+function parseKMLOverlay(xml){
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const features = [];
+  const geomsOf = (el) => {
+    const out = [];
+    Array.from(el.children).forEach(g => {
+      const tag = g.localName;
+      if (tag === 'Point') {
+        const c = kmlCoords(childText(g, 'coordinates'))[0];
+        if (c) out.push({ type: 'Point', coordinates: c });
+      } else if (tag === 'LineString') {
+        const c = kmlCoords(childText(g, 'coordinates'));
+        if (c.length >= 2) out.push({ type: 'LineString', coordinates: c });
+      } else if (tag === 'Polygon') {
+        const rings = Array.from(g.getElementsByTagName('LinearRing'))
+          .map(r => kmlCoords(childText(r, 'coordinates'))).filter(r => r.length >= 4);
+        if (rings.length) out.push({ type: 'Polygon', coordinates: rings });
+      } else if (tag === 'Track') { // gx:Track
+        const c = Array.from(g.getElementsByTagName('*')).filter(n => n.localName === 'coord')
+          .map(n => n.textContent.trim().split(/\s+/).map(Number)).filter(c => c.length >= 2);
+        if (c.length >= 2) out.push({ type: 'LineString', coordinates: c });
+      } else if (tag === 'MultiGeometry' || tag === 'MultiTrack') {
+        out.push(...geomsOf(g));
+      }
+    });
+    return out;
+  };
+  Array.from(doc.getElementsByTagName('Placemark')).forEach(pm => {
+    const name = Array.from(pm.children).find(n => n.localName === 'name')?.textContent?.trim() || '';
+    const geoms = geomsOf(pm);
+    if (!geoms.length) return;
+    features.push({
+      type: 'Feature',
+      properties: { name, kind: 'placemark' },
+      geometry: geoms.length === 1 ? geoms[0] : { type: 'GeometryCollection', geometries: geoms }
+    });
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+function parseGeoJSONOverlay(text){
+  const gj = JSON.parse(text);
+  if (gj.type === 'FeatureCollection') return gj;
+  if (gj.type === 'Feature') return { type: 'FeatureCollection', features: [gj] };
+  if (gj.type && gj.coordinates) return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: gj }] };
+  throw new Error('Not a GeoJSON object');
+}
+
+// Total length of all line work, in metres
+function geojsonLengthM(fc){
+  let d = 0;
+  const line = (coords) => { for (let i = 1; i < coords.length; i++) d += distLL({ lat: coords[i-1][1], lng: coords[i-1][0] }, { lat: coords[i][1], lng: coords[i][0] }); };
+  const walk = (g) => {
+    if (!g) return;
+    if (g.type === 'LineString') line(g.coordinates);
+    else if (g.type === 'MultiLineString') g.coordinates.forEach(line);
+    else if (g.type === 'GeometryCollection') g.geometries.forEach(walk);
+  };
+  (fc.features || []).forEach(f => walk(f.geometry));
+  return d;
+}
+
+// Review layer written by geocode_lakes.mjs: original → matched point per
+// waterbody, coloured by the script's decision so bad matches stand out.
+const GEOCODE_REVIEW_STYLES = {
+  OK:             { color: '#16a34a', label: 'Moved' },
+  LOW_CONFIDENCE: { color: '#dc2626', label: 'Kept: low confidence' },
+  TOO_FAR:        { color: '#7c3aed', label: 'Kept: too far' },
+  NO_MATCH:       { color: '#64748b', label: 'No match' },
+  ERROR:          { color: '#64748b', label: 'Lookup failed' }
+};
+const isGeocodeReview = (fc) => fc?.name === 'geocode_review';
+
+function geocodeReviewPopup(p = {}){
+  const st = GEOCODE_REVIEW_STYLES[p.status] || { label: p.status || '—' };
+  const rows = [
+    ['Decision', st.label + (p.ambiguous ? ' · ⚠️ ambiguous' : '')],
+    ['Matched', p.display_name],
+    ['Distance', Number.isFinite(p.distance_m) ? fmtDistance(p.distance_m) : null],
+    ['Confidence', p.confidence != null ? `${p.confidence} / 4` : null],
+    ['Runner-up', p.runner_up],
+    ['Candidates', p.candidates],
+    ['Records', p.events]
+  ].filter(([, v]) => v != null && v !== '');
+  return `<div class="popup trail-popup"><h4>${esc(p.name || 'Waterbody')}</h4>
+    <table class="kv">${rows.map(([k, v]) => `<tr><th>${k}</th><td>${esc(v)}</td></tr>`).join('')}</table></div>`;
+}
+
+function overlayLayerFor(o){
+  if (isGeocodeReview(o.geojson)) {
+    const colorOf = (p) => (GEOCODE_REVIEW_STYLES[p?.status] || GEOCODE_REVIEW_STYLES.NO_MATCH).color;
+    return L.geoJSON(o.geojson, {
+      style: (feat) => ({ color: colorOf(feat.properties), weight: 3, opacity: 0.9, dashArray: feat.properties?.ambiguous ? '6 4' : null }),
+      pointToLayer: (feat, latlng) => L.circleMarker(latlng, { radius: 5, color: colorOf(feat.properties), fillColor: '#fff', fillOpacity: 1, weight: 2 }),
+      onEachFeature: (feat, layer) => {
+        layer.bindTooltip(esc(feat.properties?.name || o.name), { sticky: true });
+        layer.bindPopup(() => geocodeReviewPopup(feat.properties), { maxWidth: 340 });
+      }
+    });
+  }
+  return L.geoJSON(o.geojson, {
+    style: () => ({ color: o.color, weight: 4, opacity: 0.9, fillOpacity: 0.15 }),
+    pointToLayer: (feat, latlng) => L.circleMarker(latlng, { radius: 5, color: o.color, fillColor: '#fff', fillOpacity: 1, weight: 2 }),
+    onEachFeature: (feat, layer) => {
+      const name = feat.properties?.name;
+      layer.bindTooltip(name ? `${esc(name)} · ${esc(o.name)}` : esc(o.name), { sticky: true });
+    }
+  });
+}
+
+function showOverlay(o, on){
+  const existing = overlayLayers.get(o.id);
+  if (existing) { map.removeLayer(existing); overlayLayers.delete(o.id); }
+  if (on) overlayLayers.set(o.id, overlayLayerFor(o).addTo(map));
+  renderProfileSources();
+}
+
+function fitOverlay(id){
+  const layer = overlayLayers.get(id);
+  try { if (layer) map.fitBounds(layer.getBounds(), { padding: [24, 24], maxZoom: 16 }); } catch {}
+}
+
+async function importOverlayFile(file){
+  const text = await file.text();
+  const lower = file.name.toLowerCase();
+  let fc;
+  if (lower.endsWith('.gpx')) fc = parseGPXOverlay(text);
+  else if (lower.endsWith('.kml')) fc = parseKMLOverlay(text);
+  else fc = parseGeoJSONOverlay(text);
+  if (!fc.features?.length) throw new Error('No tracks, routes or shapes found');
+
+  const existing = await idbGetAll('overlays').catch(() => []);
+  const o = {
+    id: `o${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: file.name.replace(/\.(gpx|kml|geojson|json)$/i, ''),
+    color: OVERLAY_COLORS[existing.length % OVERLAY_COLORS.length],
+    visible: true,
+    createdAt: new Date().toISOString(),
+    lengthM: geojsonLengthM(fc),
+    geojson: fc
+  };
+  try { await idbPut('overlays', o); }
+  catch (err) { console.warn('Overlay not persisted (shown for this session only):', err); }
+  showOverlay(o, true);
+  fitOverlay(o.id);
+  return o;
+}
+
+function overlaySummary(o){
+  const feats = o.geojson.features;
+  if (!isGeocodeReview(o.geojson)) return `${feats.length} feature(s) · ${fmtDistance(o.lengthM)}`;
+  const count = (fn) => feats.filter(f => fn(f.properties || {})).length;
+  return `Geocode review · ${count(p => p.status === 'OK')} moved · ${count(p => p.status !== 'OK')} kept · ${count(p => p.ambiguous)} ambiguous`;
+}
+
+async function renderOverlayList(){
+  if (!overlayListEl) return;
+  let list = [];
+  try { list = await idbGetAll('overlays'); } catch {}
+  if (!list.length) {
+    overlayListEl.innerHTML = `<div class="empty" style="opacity:.8">No overlays imported.</div>`;
+    return;
+  }
+  overlayListEl.innerHTML = list.map(o => `
+    <div class="overlay-item" data-id="${esc(o.id)}">
+      <input type="checkbox" data-action="toggle" ${o.visible ? 'checked' : ''} title="Show/hide">
+      <input type="color" data-action="color" value="${esc(o.color)}" title="Colour">
+      <div class="overlay-main" data-action="zoom">
+        <div style="font-weight:600;line-height:1.2">${esc(o.name)}</div>
+        <div class="muted" style="font-size:.85rem;opacity:.75">${overlaySummary(o)}</div>
+      </div>
+      <button class="pin-del" data-action="del" title="Remove overlay">🗑️</button>
+    </div>`).join('');
+}
+
+overlayInput?.addEventListener('change', async (e) => {
+  const files = Array.from(e.target.files || []);
+  for (const file of files) {
+    try { await importOverlayFile(file); }
+    catch (err) { alert(`Could not import ${file.name}: ${err.message}`); }
+  }
+  e.target.value = '';
+  renderOverlayList();
+});
+
+overlayListEl?.addEventListener('click', async (e) => {
+  const el = e.target.closest('[data-action]');
+  const id = e.target.closest('.overlay-item')?.dataset.id;
+  if (!el || !id) return;
+  const action = el.dataset.action;
+  if (action === 'zoom') {
+    if (overlayLayers.has(id)) fitOverlay(id);
+  } else if (action === 'del') {
+    const o = await idbGet('overlays', id);
+    if (!o || !confirm(`Remove overlay "${o.name}"?`)) return;
+    showOverlay(o, false);
+    await idbDelete('overlays', id);
+    renderOverlayList();
+  }
+});
+
+overlayListEl?.addEventListener('change', async (e) => {
+  const el = e.target.closest('[data-action]');
+  const id = e.target.closest('.overlay-item')?.dataset.id;
+  if (!el || !id) return;
+  const o = await idbGet('overlays', id);
+  if (!o) return;
+  if (el.dataset.action === 'toggle') o.visible = el.checked;
+  if (el.dataset.action === 'color')  o.color = el.value;
+  await idbPut('overlays', o);
+  showOverlay(o, o.visible);
+  if (el.dataset.action === 'toggle' && o.visible) fitOverlay(id);
+});
+
+(async function restoreOverlays(){
+  try {
+    (await idbGetAll('overlays')).forEach(o => { if (o.visible) showOverlay(o, true); });
+  } catch (err) {
+    console.warn('Overlays not restored:', err);
+  }
+  renderOverlayList();
+})();
+
+
+// ---------------------------------------------------------------------------
+// Elevation profile — elevation vs. distance for the recording, a shown
+// library track or an imported overlay. Gaps in recorded altitude are filled
+// from the Ontario DEM; hovering the chart moves a marker along the line.
+// ---------------------------------------------------------------------------
+const PROFILE_MAX_POINTS  = 600;    // longer lines are thinned before charting/DEM lookup
+const PROFILE_NOISE_M     = 3;      // climbs/drops smaller than this count as altitude noise
+const PROFILE_REDRAW_MS   = 10000;  // live refresh interval while recording
+const PROFILE_W = 320, PROFILE_H = 140;
+const PROFILE_PAD = { l: 38, r: 8, t: 10, b: 18 };
+
+const profileSourceSel = document.getElementById('profileSource');
+const profileChartEl   = document.getElementById('profileChart');
+const profileStatsEl   = document.getElementById('profileStats');
+const profileReadoutEl = document.getElementById('profileReadout');
+const profileDemCache  = new Map();  // "lat,lng" (5 dp) → DEM metres; kept out of the tracks themselves
+const profileMarker    = L.circleMarker([0, 0], {
+  radius: 6, color: '#fff', weight: 2, fillColor: '#0f172a', fillOpacity: 1, interactive: false
+});
+let profileData = null;              // { samples, stats, x } for the chart on screen
+let profileSeq = 0;
+let profileRedrawTimer = null;
+
+function lineSegmentsFromGeoJSON(fc){
+  const segs = [];
+  const line = coords => segs.push(coords.map(c => ({ lng: c[0], lat: c[1], ele: Number.isFinite(c[2]) ? c[2] : null })));
+  const walk = g => {
+    if (!g) return;
+    if (g.type === 'LineString') line(g.coordinates);
+    else if (g.type === 'MultiLineString') g.coordinates.forEach(line);
+    else if (g.type === 'GeometryCollection') g.geometries.forEach(walk);
+  };
+  (fc.features || []).forEach(f => walk(f.geometry));
+  // KML "clamp to ground" lines carry 0 for every altitude — treat as missing
+  if (segs.flat().every(p => !p.ele)) segs.flat().forEach(p => { p.ele = null; });
+  return segs;
+}
+
+async function profileSegments(source){
+  const [kind, id] = source.split(':');
+  if (kind === 'trk') return (await idbGet('tracks', id))?.segments || [];
+  if (kind === 'ovl') {
+    const o = await idbGet('overlays', id);
+    return o ? lineSegmentsFromGeoJSON(o.geojson) : [];
+  }
+  if (kind === 'route') return routeResult ? [routeResult.points] : [];
+  return trackSegments;
+}
+
+// Flatten segments to [{lat,lng,d,ele}] with cumulative along-track distance
+// (gaps between segments are not counted), thinned to PROFILE_MAX_POINTS.
+function profileSamples(segments){
+  const pts = [];
+  let d = 0;
+  segments.forEach(seg => seg.forEach((p, i) => {
+    if (i > 0) d += distLL(seg[i-1], p);
+    pts.push({ lat: p.lat, lng: p.lng, d, ele: Number.isFinite(p.ele) ? p.ele : null, dem: false });
+  }));
+  if (pts.length <= PROFILE_MAX_POINTS) return pts;
+  const step = (pts.length - 1) / (PROFILE_MAX_POINTS - 1);
+  return Array.from({ length: PROFILE_MAX_POINTS }, (_, i) => pts[Math.round(i * step)]);
+}
+
+async function fillProfileFromDEM(samples){
+  const key = p => `${p.lat.toFixed(5)},${p.lng.toFixed(5)}`;
+  const todo = [];
+  samples.forEach(p => {
+    if (p.ele != null) return;
+    const cached = profileDemCache.get(key(p));
+    if (cached != null) { p.ele = cached; p.dem = true; } else todo.push(p);
+  });
+  if (!todo.length) return;
+  const values = await demSampleElevations(todo);
+  todo.forEach((p, i) => {
+    if (!Number.isFinite(values[i])) return;
+    p.ele = values[i]; p.dem = true;
+    profileDemCache.set(key(p), values[i]);
+  });
+}
+
+// Ascent/descent with a hysteresis band so jitter doesn't add up to phantom climbs
+function profileStats(samples){
+  let ascent = 0, descent = 0, ref = null, min = Infinity, max = -Infinity;
+  samples.forEach(({ ele }) => {
+    min = Math.min(min, ele);
+    max = Math.max(max, ele);
+    if (ref == null) { ref = ele; return; }
+    if (ele - ref >= PROFILE_NOISE_M)      { ascent += ele - ref; ref = ele; }
+    else if (ref - ele >= PROFILE_NOISE_M) { descent += ref - ele; ref = ele; }
+  });
+  return { ascent, descent, min, max, distanceM: samples[samples.length-1].d };
+}
 
-  watchId = navigator.geolocation.watchPosition(
-    (pos) => {
-      const { latitude, longitude } = pos.coords;
-      ensureMarker().setLatLng([latitude, longitude]);
+function setProfileStat(name, text){
+  const el = profileStatsEl?.querySelector(`[data-stat="${name}"]`);
+  if (el) el.textContent = text;
+}
+function renderProfileStats(stats){
+  const m = v => (stats ? `${Math.round(v)} m` : '—');
+  setProfileStat('ascent',  stats ? `↑ ${m(stats.ascent)}` : '—');
+  setProfileStat('descent', stats ? `↓ ${m(stats.descent)}` : '—');
+  setProfileStat('min', m(stats?.min));
+  setProfileStat('max', m(stats?.max));
+}
 
-      // Recenter if Follow is on OR this locate-click requested a one-time center
-      if (follow || centerOnce) {
-        map.setView([latitude, longitude], Math.max(map.getZoom(), LOCATE_ZOOM));
-        centerOnce = false; // only once per locate click
-      }
+function profileMessage(text){
+  profileData = null;
+  hideProfileCursor();
+  profileChartEl.innerHTML = `<div class="empty" style="opacity:.8">${esc(text)}</div>`;
+  renderProfileStats(null);
+}
 
-      // Track recorder hook stays as-is
-      onGeoPosition(pos);
-    },
-    (err) => console.warn('Geolocation error:', err),
-    { enableHighAccuracy: true, maximumAge: 5000, timeout: 15000 }
-  );
-  if (locateBtn) locateBtn.disabled = true;
+function renderProfileChart(samples, stats){
+  const { l, r, t, b } = PROFILE_PAD;
+  const span = Math.max(stats.max - stats.min, 10);
+  const lo = stats.min - span * 0.05, hi = lo + span * 1.1;
+  const x = d => l + (d / (stats.distanceM || 1)) * (PROFILE_W - l - r);
+  const y = e => t + (1 - (e - lo) / (hi - lo)) * (PROFILE_H - t - b);
+  const base = PROFILE_H - b;
+  const pts = samples.map(p => `${x(p.d).toFixed(1)},${y(p.ele).toFixed(1)}`).join(' ');
+  profileChartEl.innerHTML = `
+    <svg viewBox="0 0 ${PROFILE_W} ${PROFILE_H}" role="img" aria-label="Elevation profile">
+      <line class="profile-axis" x1="${l}" x2="${PROFILE_W - r}" y1="${base}" y2="${base}"/>
+      <polygon class="profile-area" points="${x(samples[0].d).toFixed(1)},${base} ${pts} ${x(stats.distanceM).toFixed(1)},${base}"/>
+      <polyline class="profile-line" points="${pts}"/>
+      <text x="${l - 4}" y="${(y(stats.max) + 4).toFixed(1)}" text-anchor="end">${Math.round(stats.max)} m</text>
+      <text x="${l - 4}" y="${(y(stats.min) + 4).toFixed(1)}" text-anchor="end">${Math.round(stats.min)} m</text>
+      <text x="${l}" y="${PROFILE_H - 4}">0</text>
+      <text x="${PROFILE_W - r}" y="${PROFILE_H - 4}" text-anchor="end">${fmtDistance(stats.distanceM)}</text>
+      <line class="profile-cursor" x1="0" x2="0" y1="${t}" y2="${base}" visibility="hidden"/>
+    </svg>`;
+  profileData = { samples, stats, x };
 }
 
+async function drawProfile(){
+  if (!profileChartEl) return;
+  const seq = ++profileSeq;
+  const source = profileSourceSel?.value || 'rec';
+  let samples;
+  try { samples = profileSamples(await profileSegments(source)); }
+  catch (err) { console.warn(err); samples = []; }
+  if (seq !== profileSeq) return;
+  if (samples.length < 2) {
+    profileMessage(source === 'rec' ? 'Record a track or show one from the library to see its profile.' : 'This line has too few points for a profile.');
+    return;
+  }
+  if (samples.some(p => p.ele == null)) {
+    try { await fillProfileFromDEM(samples); }
+    catch (err) { console.warn('DEM lookup for profile failed:', err); }
+    if (seq !== profileSeq) return;
+  }
+  samples = samples.filter(p => p.ele != null);
+  if (samples.length < 2) { profileMessage('No elevation data for this line (the DEM needs a connection).'); return; }
+  const stats = profileStats(samples);
+  renderProfileChart(samples, stats);
+  renderProfileStats(stats);
+}
 
-locateBtn?.addEventListener('click', () => {
-  if (!watching) {
-    // Start GNSS and recenter on the first fix
-    startLocate(true);
-  } else {
-    // Already watching: if we have a current position marker, recenter now
-    if (you) {
-      map.setView(you.getLatLng(), Math.max(map.getZoom(), LOCATE_ZOOM));
-    } else {
-      // No marker yet? request a one-time center on next fix
-      startLocate(true);
-    }
+// Keep the live recording's profile current without hammering the DEM
+function scheduleProfileRedraw(){
+  if (profileRedrawTimer || (profileSourceSel?.value || 'rec') !== 'rec') return;
+  profileRedrawTimer = setTimeout(() => { profileRedrawTimer = null; drawProfile(); }, PROFILE_REDRAW_MS);
+}
+
+async function renderProfileSources(){
+  if (!profileSourceSel) return;
+  const [tracks, overlays] = await Promise.all([
+    idbGetAll('tracks').catch(() => []),
+    idbGetAll('overlays').catch(() => [])
+  ]);
+  const opts = [['rec', 'Current recording']]
+    .concat(routeResult ? [['route', `Planned route · ${fmtDistance(routeResult.distanceM)}`]] : [])
+    .concat(tracks.filter(t => libraryLines.has(t.id)).map(t => [`trk:${t.id}`, `Track · ${t.name}`]))
+    .concat(overlays
+      .filter(o => overlayLayers.has(o.id) && lineSegmentsFromGeoJSON(o.geojson).length)
+      .map(o => [`ovl:${o.id}`, `Overlay · ${o.name}`]));
+  const prev = profileSourceSel.value;
+  profileSourceSel.innerHTML = opts.map(([v, label]) => `<option value="${esc(v)}">${esc(label)}</option>`).join('');
+  profileSourceSel.value = opts.some(([v]) => v === prev) ? prev : 'rec';
+  if (profileSourceSel.value !== prev) drawProfile();
+}
+
+function profileSampleAt(d){
+  const s = profileData.samples;
+  let lo = 0, hi = s.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (s[mid].d < d) lo = mid; else hi = mid;
   }
-});
+  return (d - s[lo].d) <= (s[hi].d - d) ? s[lo] : s[hi];
+}
 
-  followBtn?.addEventListener('click', () => {
-    follow = !follow;
-    if (followBtn) followBtn.textContent = follow ? '▶️ Follow: On' : '▶️ Follow: Off';
-    if (follow && you) map.setView(you.getLatLng());
-  });
-  const HOME = { center: [45.4215, -75.6972], zoom: 11 };
-  resetViewBtn?.addEventListener('click', () => {
-    follow = false;
-    if (followBtn) followBtn.textContent = '▶️ Follow: Off';
-    map.setView(HOME.center, HOME.zoom);
-  });
+function hideProfileCursor(){
+  profileChartEl?.querySelector('.profile-cursor')?.setAttribute('visibility', 'hidden');
+  if (map.hasLayer(profileMarker)) map.removeLayer(profileMarker);
+  if (profileReadoutEl) profileReadoutEl.textContent = '';
+}
 
+function onProfilePointer(e){
+  const svg = profileChartEl.querySelector('svg');
+  if (!profileData || !svg) return;
+  const rect = svg.getBoundingClientRect();
+  if (!rect.width) return;
+  const { l, r } = PROFILE_PAD;
+  const sx = (e.clientX - rect.left) / rect.width * PROFILE_W;
+  const p = profileSampleAt(clamp((sx - l) / (PROFILE_W - l - r), 0, 1) * profileData.stats.distanceM);
+  const cursor = svg.querySelector('.profile-cursor');
+  const cx = profileData.x(p.d).toFixed(1);
+  cursor.setAttribute('x1', cx);
+  cursor.setAttribute('x2', cx);
+  cursor.setAttribute('visibility', 'visible');
+  profileMarker.setLatLng([p.lat, p.lng]);
+  if (!map.hasLayer(profileMarker)) profileMarker.addTo(map);
+  if (profileReadoutEl) {
+    profileReadoutEl.textContent = `${fmtDistance(p.d)} · ${Math.round(p.ele)} m${p.dem ? ' (DEM)' : ''}`;
+  }
+}
+
+profileChartEl?.addEventListener('pointermove', onProfilePointer);
+profileChartEl?.addEventListener('pointerdown', onProfilePointer);
+profileChartEl?.addEventListener('pointerleave', hideProfileCursor);
+profileSourceSel?.addEventListener('change', drawProfile);
+document.getElementById('profileRefreshBtn')?.addEventListener('click', drawProfile);
+
+renderProfileSources();
+drawProfile();
 
-  // ---------------------------------------------------------------------------
-  
-  // ---------------------------------------------------------------------------
 
 // ---------------------------------------------------------------------------
-// Track Recorder (Start/Stop + Save), matches IDs: trackStartBtn, trackSaveBtn
+// Trail routing — shortest path along OTN segments. Segment endpoints within
+// ROUTE_SNAP_M of each other become one graph node; start/end points are
+// projected onto the nearest segment and spliced into it.
 // ---------------------------------------------------------------------------
-const trackLayer = L.layerGroup().addTo(map);
-let trackLine = L.polyline([], { color: '#ff00a8', weight: 3, opacity: 0.9 }).addTo(trackLayer);
-let trackStartMarker = null;
-let trackEndMarker = null;
+const ROUTE_SNAP_M      = 10;     // endpoints closer than this are treated as connected
+const ROUTE_CELL_DEG    = 0.0002; // spatial-hash cell for endpoint snapping (≥ ROUTE_SNAP_M)
+const ROUTE_MAX_SNAP_M  = 2000;   // taps farther than this from any trail are refused
+const ROUTE_SPEEDS_KMH  = { walk: 4.5, bike: 14 };
+
+const routeLayer     = L.layerGroup().addTo(map);
+const routeSummaryEl = document.getElementById('routeSummary');
+const routeExportBtn = document.getElementById('routeExportBtn');
+const routePinSels   = document.querySelectorAll('[data-route-pin]');
+let routeGraph  = null;              // { nodes, edges, adj, layerCount }
+let routeEnds   = { start: null, end: null };   // { latlng, label, snap }
+let routeResult = null;              // { points, distanceM }
+
+function buildRouteGraph(){
+  const nodes = [];                  // [{lat,lng}]
+  const edges = [];                  // { a, b, coords:[{lat,lng}], lengthM, layer }
+  const grid  = new Map();           // "i,j" cell → node ids
+  const cellOf = ll => [Math.floor(ll.lat / ROUTE_CELL_DEG), Math.floor(ll.lng / ROUTE_CELL_DEG)];
+  const nodeFor = ll => {
+    const [ci, cj] = cellOf(ll);
+    for (let di = -1; di <= 1; di++) for (let dj = -1; dj <= 1; dj++) {
+      for (const id of grid.get(`${ci+di},${cj+dj}`) || []) {
+        if (distLL(nodes[id], ll) <= ROUTE_SNAP_M) return id;
+      }
+    }
+    const id = nodes.push(ll) - 1;
+    const k = `${ci},${cj}`;
+    if (!grid.has(k)) grid.set(k, []);
+    grid.get(k).push(id);
+    return id;
+  };
+  const addLine = (coords, layer) => {
+    const pts = coords.filter(c => Number.isFinite(c[0]) && Number.isFinite(c[1])).map(c => ({ lat: c[1], lng: c[0] }));
+    if (pts.length < 2) return;
+    let lengthM = 0;
+    for (let i = 1; i < pts.length; i++) lengthM += distLL(pts[i-1], pts[i]);
+    edges.push({ a: nodeFor(pts[0]), b: nodeFor(pts[pts.length-1]), coords: pts, lengthM, layer });
+  };
+  let layerCount = 0;
+  trailsLayer.eachLayer(layer => {
+    layerCount++;
+    const g = layer.feature?.geometry;
+    if (g?.type === 'LineString') addLine(g.coordinates, layer);
+    else if (g?.type === 'MultiLineString') g.coordinates.forEach(c => addLine(c, layer));
+  });
+  const adj = nodes.map(() => []);
+  edges.forEach((e, i) => { adj[e.a].push(i); adj[e.b].push(i); });
+  return { nodes, edges, adj, layerCount };
+}
 
-let trackPoints = [];        // [{lat,lng,t,acc}]
-let recording = false;
-let recStartedAt = null;
-let totalDistanceM = 0;
+function getRouteGraph(){
+  const count = trailsLayer.getLayers().length;
+  if (!routeGraph || routeGraph.layerCount !== count) {
+    routeGraph = buildRouteGraph();
+    resnapRouteEnds(routeGraph);
+  }
+  return routeGraph;
+}
 
-const btnStart = document.getElementById('trackStartBtn');
-const btnSave  = document.getElementById('trackSaveBtn');
+// Snaps hold edges of the graph they were made on; move them to a rebuilt one
+// (an end with no trail near it any more is dropped)
+function resnapRouteEnds(graph){
+  ['start', 'end'].forEach(which => {
+    const p = routeEnds[which];
+    if (!p) return;
+    const snap = snapToTrail(graph, p.latlng);
+    routeEnds[which] = snap && snap.distM <= ROUTE_MAX_SNAP_M ? { ...p, snap } : null;
+  });
+}
 
-function distLL(a,b){ // meters (haversine)
-  const R=6371000, toRad=d=>d*Math.PI/180;
-  const dLat = toRad(b.lat-a.lat), dLng = toRad(b.lng-a.lng);
-  const s1=Math.sin(dLat/2), s2=Math.sin(dLng/2);
-  const q=s1*s1 + Math.cos(toRad(a.lat))*Math.cos(toRad(b.lat))*s2*s2;
-  return 2*R*Math.asin(Math.min(1,Math.sqrt(q)));
+// Closest point on any segment: { edge, i (vertex before), point, along (m from edge start), distM }
+function snapToTrail(graph, latlng){
+  const kx = Math.cos(latlng.lat * Math.PI / 180);
+  let best = null, bestD2 = Infinity;
+  graph.edges.forEach((edge, ei) => {
+    const c = edge.coords;
+    for (let i = 1; i < c.length; i++) {
+      const ax = (c[i-1].lng - latlng.lng) * kx, ay = c[i-1].lat - latlng.lat;
+      const bx = (c[i].lng - latlng.lng) * kx,   by = c[i].lat - latlng.lat;
+      const dx = bx - ax, dy = by - ay;
+      const len2 = dx*dx + dy*dy;
+      const t = len2 ? clamp(-(ax*dx + ay*dy) / len2, 0, 1) : 0;
+      const px = ax + t*dx, py = ay + t*dy;
+      const d2 = px*px + py*py;
+      if (d2 < bestD2) { bestD2 = d2; best = { ei, i: i - 1, t }; }
+    }
+  });
+  if (!best) return null;
+  const edge = graph.edges[best.ei];
+  const a = edge.coords[best.i], b = edge.coords[best.i + 1];
+  const point = { lat: a.lat + (b.lat - a.lat) * best.t, lng: a.lng + (b.lng - a.lng) * best.t };
+  let along = distLL(a, point);
+  for (let k = 1; k <= best.i; k++) along += distLL(edge.coords[k-1], edge.coords[k]);
+  return { edge, i: best.i, point, along, distM: distLL(latlng, point) };
 }
-function ensureStartMarker(latlng){
-  if (!trackStartMarker) {
-    trackStartMarker = L.circleMarker(latlng, { radius: 6, color: '#15b374', fillColor:'#15b374', fillOpacity: 0.9 })
-      .bindTooltip('Start').addTo(trackLayer);
+
+// Tiny binary heap keyed on [0]
+function heapPush(h, item){
+  h.push(item);
+  for (let i = h.length - 1; i > 0;) {
+    const p = (i - 1) >> 1;
+    if (h[p][0] <= h[i][0]) break;
+    [h[p], h[i]] = [h[i], h[p]]; i = p;
   }
 }
-function updateEndMarker(latlng){
-  if (!trackEndMarker) {
-    trackEndMarker = L.circleMarker(latlng, { radius: 6, color: '#c23b22', fillColor:'#c23b22', fillOpacity: 0.9 })
-      .bindTooltip('End').addTo(trackLayer);
-  } else {
-    trackEndMarker.setLatLng(latlng);
+function heapPop(h){
+  const top = h[0], last = h.pop();
+  if (h.length) {
+    h[0] = last;
+    for (let i = 0;;) {
+      const l = 2*i + 1, r = l + 1;
+      let m = i;
+      if (l < h.length && h[l][0] < h[m][0]) m = l;
+      if (r < h.length && h[r][0] < h[m][0]) m = r;
+      if (m === i) break;
+      [h[m], h[i]] = [h[i], h[m]]; i = m;
+    }
   }
+  return top;
 }
-function enableSaveIfReady(){
-  // enable when there’s something to save (>=2 points)
-  if (btnSave) btnSave.disabled = trackPoints.length < 2;
-}
-function addTrackPoint(pt){
-  const last = trackPoints[trackPoints.length-1];
-  trackPoints.push(pt);
-  trackLine.addLatLng([pt.lat, pt.lng]);
-  if (last) totalDistanceM += distLL(last, pt);
-  else ensureStartMarker([pt.lat, pt.lng]);
-  updateEndMarker([pt.lat, pt.lng]);
-  enableSaveIfReady();
+
+// Dijkstra from snapped start S to snapped end T. Returns { points, distanceM } or null.
+function shortestTrailPath(graph, S, T){
+  const { edges, adj } = graph;
+  // Pieces of the split edges, each oriented from → to
+  const fromS = [
+    { to: S.edge.a, w: S.along, coords: [S.point, ...S.edge.coords.slice(0, S.i + 1).reverse()] },
+    { to: S.edge.b, w: S.edge.lengthM - S.along, coords: [S.point, ...S.edge.coords.slice(S.i + 1)] }
+  ];
+  if (S.edge === T.edge) {
+    fromS.push({ to: 'T', w: Math.abs(T.along - S.along), coords: S.along <= T.along
+      ? [S.point, ...S.edge.coords.slice(S.i + 1, T.i + 1), T.point]
+      : [S.point, ...S.edge.coords.slice(T.i + 1, S.i + 1).reverse(), T.point] });
+  }
+  const intoT = new Map();   // node → piece into T (a loop edge keeps the shorter side)
+  [
+    [T.edge.a, { w: T.along, coords: [...T.edge.coords.slice(0, T.i + 1), T.point] }],
+    [T.edge.b, { w: T.edge.lengthM - T.along, coords: [...T.edge.coords.slice(T.i + 1).reverse(), T.point] }]
+  ].forEach(([n, piece]) => { if (!intoT.has(n) || piece.w < intoT.get(n).w) intoT.set(n, piece); });
+
+  const dist = new Map([['S', 0]]);
+  const prev = new Map();   // node → { from, coords }
+  const heap = [[0, 'S']];
+  const relax = (from, to, w, coords) => {
+    const nd = dist.get(from) + w;
+    if (nd < (dist.get(to) ?? Infinity)) {
+      dist.set(to, nd);
+      prev.set(to, { from, coords });
+      heapPush(heap, [nd, to]);
+    }
+  };
+  while (heap.length) {
+    const [d, n] = heapPop(heap);
+    if (d > dist.get(n)) continue;
+    if (n === 'T') break;
+    if (n === 'S') { fromS.forEach(s => relax('S', s.to, s.w, s.coords)); continue; }
+    adj[n].forEach(ei => {
+      const e = edges[ei];
+      if (e === S.edge || e === T.edge) return;   // replaced by the split pieces
+      if (e.a === n) relax(n, e.b, e.lengthM, e.coords);
+      if (e.b === n) relax(n, e.a, e.lengthM, e.coords.slice().reverse());
+    });
+    const t = intoT.get(n);
+    if (t) relax(n, 'T', t.w, t.coords);
+  }
+  if (!prev.has('T')) return null;
+
+  const pieces = [];
+  for (let n = 'T'; n !== 'S'; n = prev.get(n).from) pieces.unshift(prev.get(n).coords);
+  const points = pieces.reduce((acc, c) => acc.concat(acc.length ? c.slice(1) : c), []);
+  return { points, distanceM: dist.get('T') };
 }
 
-// Called by geolocation watcher (see step #1)
-function onGeoPosition(pos){
-  if (!recording) return;
-  const { latitude:lat, longitude:lng, accuracy:acc } = pos.coords || {};
-  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+function fmtEta(ms){
+  const min = Math.max(1, Math.round(ms / 60000));
+  return min < 60 ? `${min} min` : `${Math.floor(min / 60)} h ${String(min % 60).padStart(2, '0')} min`;
+}
 
-  // Optional: ignore wild jumps (>200 m)
-  const last = trackPoints[trackPoints.length-1];
-  if (last && distLL(last, {lat,lng}) > 200) return;
+function setRouteSummary(html){ if (routeSummaryEl) routeSummaryEl.innerHTML = html; }
+
+function drawRouteEnds(){
+  routeLayer.clearLayers();
+  ['start', 'end'].forEach(which => {
+    const p = routeEnds[which];
+    if (!p) return;
+    const at = p.snap?.point || p.latlng;
+    L.circleMarker(at, { radius: 7, weight: 2, color: '#fff', fillColor: which === 'start' ? '#16a34a' : '#dc2626', fillOpacity: 1 })
+      .bindTooltip(`${which === 'start' ? 'Start' : 'End'}${p.label ? ` · ${esc(p.label)}` : ''}`)
+      .addTo(routeLayer);
+  });
+}
 
-  addTrackPoint({ lat, lng, t: Date.now(), acc });
+function computeRoute(){
+  routeResult = null;
+  if (routeExportBtn) routeExportBtn.disabled = true;
+  const graph = getRouteGraph();   // first: a rebuild re-snaps the ends
+  drawRouteEnds();
+  const { start, end } = routeEnds;
+  if (!start || !end) {
+    setRouteSummary(start || end ? `Now pick the ${start ? 'end' : 'start'} point.` : 'Pick a start and end point on the trail network.');
+    renderProfileSources();
+    return;
+  }
+  const found = shortestTrailPath(graph, start.snap, end.snap);
+  if (!found) {
+    setRouteSummary(`<b>No connected route.</b> The start and end are on trail sections that don't join in the OTN network.`);
+    renderProfileSources();
+    return;
+  }
+  routeResult = found;
+  L.polyline(found.points, { color: '#f97316', weight: 5, opacity: 0.9 }).addTo(routeLayer).bringToBack();
+  const eta = mode => fmtEta(found.distanceM / (ROUTE_SPEEDS_KMH[mode] / 3.6) * 1000);
+  const offTrail = [start, end].filter(p => p.snap.distM > 50)
+    .map(p => `${p === start ? 'Start' : 'End'} is ${fmtDistance(p.snap.distM)} from the trail.`).join(' ');
+  setRouteSummary(`<b>${fmtDistance(found.distanceM)}</b> · 🚶 ~${eta('walk')} · 🚲 ~${eta('bike')}${offTrail ? `<br>${esc(offTrail)}` : ''}`);
+  if (routeExportBtn) routeExportBtn.disabled = false;
+  try { map.fitBounds(L.latLngBounds(found.points), { padding: [24, 24], maxZoom: 16 }); } catch {}
+  renderProfileSources().then(() => { if (profileSourceSel?.value === 'route') drawProfile(); });
 }
 
-function startRecording(){
-  if (recording) return;
-  recording = true;
-  if (!recStartedAt) recStartedAt = new Date();
-  if (!watching) startLocate();             // start GNSS if not already
-  if (btnStart) btnStart.textContent = '■ Stop';
+function setRouteEnd(which, latlng, label = ''){
+  const graph = getRouteGraph();
+  if (!graph.edges.length) {
+    setRouteSummary('Trail network isn’t loaded (OTN.geojson), so routes can’t be planned.');
+    return;
+  }
+  const snap = snapToTrail(graph, L.latLng(latlng));
+  if (!snap || snap.distM > ROUTE_MAX_SNAP_M) {
+    setRouteSummary(`No trail within ${fmtDistance(ROUTE_MAX_SNAP_M)} of that ${which} point.`);
+    return;
+  }
+  routeEnds[which] = { latlng: L.latLng(latlng), label, snap };
+  computeRoute();
 }
-function stopRecording(){
-  if (!recording) return;
-  recording = false;
-  if (btnStart) btnStart.textContent = '● Start';
-  enableSaveIfReady(); // in case you stop before 2 pts, this will keep Save disabled
+
+function pickRouteEndOnMap(which){
+  const container = map.getContainer();
+  container.classList.add('drawing-area');
+  setRouteSummary(`Tap the map to set the ${which} point…`);
+  map.once('click', (e) => {
+    container.classList.remove('drawing-area');
+    setRouteEnd(which, e.latlng);
+  });
 }
-function saveTrackGPX(){
-  if (trackPoints.length < 2) return;
-  const name = `track_${new Date().toISOString().replace(/[:.]/g,'-')}`;
-  const trkpts = trackPoints.map(p =>
-    `<trkpt lat="${p.lat.toFixed(6)}" lon="${p.lng.toFixed(6)}"><time>${new Date(p.t).toISOString()}</time></trkpt>`
-  ).join('');
-  const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+
+function fillRoutePinOptions(){
+  routePinSels.forEach(sel => {
+    sel.innerHTML = `<option value="">…or a pin</option>` +
+      pins.map((p, i) => `<option value="${i}">${esc(PIN_ICONS[p.type] || PIN_ICONS.Other)} ${esc(p.label || p.type)}</option>`).join('');
+  });
+}
+
+function buildRouteGPX(points, distanceM){
+  const rtepts = points.map(p => `<rtept lat="${p.lat.toFixed(6)}" lon="${p.lng.toFixed(6)}"/>`).join('');
+  const name = [routeEnds.start?.label, routeEnds.end?.label].every(Boolean)
+    ? `${routeEnds.start.label} to ${routeEnds.end.label}` : 'Trail route';
+  return `<?xml version="1.0" encoding="UTF-8"?>
 <gpx version="1.1" creator="OntarioTrails" xmlns="http://www.topografix.com/GPX/1/1">
-  <trk><name>${name}</name><trkseg>${trkpts}</trkseg></trk>
+  <rte><name>${esc(name)}</name><desc>${esc(fmtDistance(distanceM))} along the Ontario Trail Network</desc>${rtepts}</rte>
 </gpx>`;
-  downloadText(`${name}.gpx`, gpx, 'application/gpx+xml');
 }
 
-btnStart?.addEventListener('click', () => {
-  if (!recording) startRecording(); else stopRecording();
+document.querySelectorAll('[data-route-tap]').forEach(btn =>
+  btn.addEventListener('click', () => pickRouteEndOnMap(btn.dataset.routeTap)));
+routePinSels.forEach(sel => {
+  sel.addEventListener('focus', fillRoutePinOptions);
+  sel.addEventListener('change', () => {
+    const p = pins[+sel.value];
+    if (sel.value !== '' && p) setRouteEnd(sel.dataset.routePin, [+p.lat, +p.lng], p.label || p.type);
+    sel.value = '';
+  });
 });
-btnSave?.addEventListener('click', saveTrackGPX);
-
-// Init button state (Save disabled until we have >=2 points)
-enableSaveIfReady();
+routeExportBtn?.addEventListener('click', () => {
+  if (routeResult) downloadText('route.gpx', buildRouteGPX(routeResult.points, routeResult.distanceM), 'application/gpx+xml');
+});
+document.getElementById('routeClearBtn')?.addEventListener('click', () => {
+  routeEnds = { start: null, end: null };
+  computeRoute();
+});
+fillRoutePinOptions();
 
 
   // ---------------------------------------------------------------------------
@@ -1628,6 +4857,36 @@ enableSaveIfReady();
   catch(e){ console.warn('DEM image layer not available:', e); }
   const elevTip = L.tooltip({ permanent:false, direction:'top', offset:[0,-10], className:'elev-tooltip' });
   function fmtMeters(v){ if(v==null||isNaN(v)) return null; return Math.round(v); }
+
+  // Batch DEM lookup via ImageServer getSamples (one request per DEM_SAMPLE_BATCH
+  // points). Resolves to an array of metres (or null) aligned with latlngs.
+  const DEM_SAMPLE_BATCH = 200;
+  async function demSampleElevations(latlngs) {
+    const out = new Array(latlngs.length).fill(null);
+    for (let i = 0; i < latlngs.length; i += DEM_SAMPLE_BATCH) {
+      const batch = latlngs.slice(i, i + DEM_SAMPLE_BATCH);
+      const body = new URLSearchParams({
+        geometry: JSON.stringify({
+          points: batch.map(p => [+(+p.lng).toFixed(6), +(+p.lat).toFixed(6)]),
+          spatialReference: { wkid: 4326 }
+        }),
+        geometryType: 'esriGeometryMultipoint',
+        returnFirstValueOnly: 'true',
+        interpolation: 'RSP_BilinearInterpolation',
+        f: 'json'
+      });
+      const res = await fetch(`${DEM_URL}/getSamples`, { method: 'POST', body });
+      if (!res.ok) throw new Error(`DEM HTTP ${res.status}`);
+      const json = await res.json();
+      if (json.error) throw new Error(json.error.message || 'DEM getSamples error');
+      (json.samples || []).forEach(smp => {
+        const v = parseFloat(smp.value);
+        const idx = i + (smp.locationId ?? 0);
+        if (Number.isFinite(v) && idx < out.length) out[idx] = v;
+      });
+    }
+    return out;
+  }
   function debounce(fn,wait){ let t; return (...args)=>{ clearTimeout(t); t=setTimeout(()=>fn(...args),wait); }; }
   const queryDEM = debounce(function(latlng){
     if(!demLayer || !L.esri) return;
@@ -1684,6 +4943,16 @@ enableSaveIfReady();
     el.addEventListener('input', apply);
   }
 
+  function restoreSelect(idOrEl, applyFn /* string -> void */) {
+    const el = typeof idOrEl === 'string' ? document.getElementById(idOrEl) : idOrEl;
+    if (!el) return;
+    const key = `sel:${el.id}`;
+    if (_settings[key] !== undefined) el.value = String(_settings[key]);
+    const apply = () => { applyFn(el.value); setSetting(key, el.value); };
+    apply();
+    el.addEventListener('change', apply);
+  }
+
   // Persist map view (center/zoom)
   (function persistMapView(){
     const k = 'map:view';
@@ -1697,17 +4966,23 @@ enableSaveIfReady();
 
   // Apply to existing controls
   restoreCheckbox(showTrails, (on) => { on ? trailsLayer.addTo(map) : map.removeLayer(trailsLayer); });
+  restoreSelect('trailStyleMode', setTrailStyleMode);
+
+  restoreSelect('stockedStyleMode', setStockedStyleMode);
 
   restoreCheckbox(showStocked, async (on) => { 
-    if (on) { await ensureStockedLoaded(); if (stockedLoaded) stockedLayer.addTo(map); else showStocked.checked = false; }
-    else map.removeLayer(stockedLayer);
+    if (on) { await ensureStockedLoaded(); if (stockedLoaded) setPointLayerVisible('stocked', true); else showStocked.checked = false; }
+    else setPointLayerVisible('stocked', false);
   });
 
   restoreCheckbox(showAccess, async (on) => {
-    if (on) { await ensureAccessLoaded(); if (accessLoaded) accessLayer.addTo(map); else showAccess.checked = false; }
-    else map.removeLayer(accessLayer);
+    if (on) { await ensureAccessLoaded(); if (accessLoaded) setPointLayerVisible('access', true); else showAccess.checked = false; }
+    else setPointLayerVisible('access', false);
   });
 
+  restoreCheckbox(clusterPointsCk, (on) => setClustering(on));
+  restoreRange(clusterZoomInput, (v) => setClusterBreakZoom(v));
+
   restoreCheckbox(showContours, (on) => { /* visibility managed below */ 
     if (on) { /* ensure it reacts immediately */ }
     updateContourVisibility();
@@ -1716,9 +4991,15 @@ enableSaveIfReady();
   restoreCheckbox(showBaseCk, (on) => { on ? base.addTo(map) : map.removeLayer(base); });
 
   restoreCheckbox(showCrosshair, () => updateCrosshair());
+  restoreSelect('coordFormat', setCoordFormat);
+  restoreCheckbox('nearAccess');
+  restoreCheckbox('nearStocked');
 
   restoreCheckbox(showImagery, (on) => { on ? imagery.addTo(map) : map.removeLayer(imagery); });
 
+  restoreCheckbox('trackDemFill');
+  restoreGpsFilter();
+
   // CLUPA family (if present in HTML)
 
   // Grab the new master checkbox (keep the old two if they still exist)
@@ -1806,6 +5087,383 @@ enableSaveIfReady();
   }
   function onHoverElev(e){ queryDEM(e.latlng); }
 
+  // ---------------------------------------------------------------------------
+  // Offline areas: pre-cache basemap / imagery tiles and contour features for a
+  // region. The service worker does the fetching (REGION_FETCH messages) into a
+  // per-region cache that is never trimmed; metadata lives in localStorage.
+  // ---------------------------------------------------------------------------
+  const REGIONS_KEY          = 'ontarioTrails.regions.v1';
+  const REGION_CACHE_PREFIX  = 'ontario-trails-region-';   // must match service-worker.js
+  const OFFLINE_MAX_TILES    = 5000;   // be polite to the tile servers
+  const OFFLINE_BATCH        = 6;      // URLs per service-worker message
+  const CONTOUR_CELL_ZOOM    = 13;     // contour queries are split on this tile grid
+  const OFFLINE_SOURCES = {
+    osm:      { label: 'OSM base',  layer: base,    avgBytes: 18_000 },
+    imagery:  { label: 'Imagery',   layer: imagery, avgBytes: 35_000 },
+    contours: { label: 'Contours',  layer: null,    avgBytes: 60_000 }
+  };
+
+  const offlineDrawBtn    = document.getElementById('offlineDrawBtn');
+  const offlineViewBtn    = document.getElementById('offlineViewBtn');
+  const offlineMinZoom    = document.getElementById('offlineMinZoom');
+  const offlineMaxZoom    = document.getElementById('offlineMaxZoom');
+  const offlineNameInput  = document.getElementById('offlineName');
+  const offlineEstimateEl = document.getElementById('offlineEstimate');
+  const offlineStartBtn   = document.getElementById('offlineStartBtn');
+  const offlineCancelBtn  = document.getElementById('offlineCancelBtn');
+  const offlineProgress   = document.getElementById('offlineProgress');
+  const offlineStatusEl   = document.getElementById('offlineStatus');
+  const offlineRegionList = document.getElementById('offlineRegionList');
+  const offlineSourceCks  = Array.from(document.querySelectorAll('input[data-offline-source]'));
+
+  const offlineAreaLayer = L.featureGroup().addTo(map);
+  let offlineBounds = null;
+  let offlineJob = null;   // { cancelled } while a download runs
+
+  function loadRegions() {
+    try {
+      const arr = JSON.parse(localStorage.getItem(REGIONS_KEY) || '[]');
+      return Array.isArray(arr) ? arr : [];
+    } catch { return []; }
+  }
+  function saveRegions(list) {
+    try { localStorage.setItem(REGIONS_KEY, JSON.stringify(list)); } catch {}
+  }
+
+  function formatBytes(n) {
+    if (!Number.isFinite(n) || n <= 0) return '0 KB';
+    if (n < 1024 * 1024) return `${Math.max(1, Math.round(n / 1024))} KB`;
+    return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // Slippy-map tile math (Web Mercator)
+  function lngToTileX(lng, z) { return Math.floor((lng + 180) / 360 * 2 ** z); }
+  function latToTileY(lat, z) {
+    const r = clamp(lat, -85.0511, 85.0511) * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * 2 ** z);
+  }
+  function tileToLng(x, z) { return x / 2 ** z * 360 - 180; }
+  function tileToLat(y, z) { return Math.atan(Math.sinh(Math.PI * (1 - 2 * y / 2 ** z))) * 180 / Math.PI; }
+  function tileRange(bounds, z) {
+    const max = 2 ** z - 1;
+    return {
+      x0: clamp(lngToTileX(bounds.getWest(), z), 0, max),
+      x1: clamp(lngToTileX(bounds.getEast(), z), 0, max),
+      y0: clamp(latToTileY(bounds.getNorth(), z), 0, max),
+      y1: clamp(latToTileY(bounds.getSouth(), z), 0, max)
+    };
+  }
+  function countTiles(bounds, z) {
+    const r = tileRange(bounds, z);
+    return (r.x1 - r.x0 + 1) * (r.y1 - r.y0 + 1);
+  }
+
+  // Same URL Leaflet builds for a tile, so the cached key matches later <img> requests
+  function tileUrlFor(layer, x, y, z) {
+    return L.Util.template(layer._url, L.extend({
+      r: L.Browser.retina ? '@2x' : '',
+      s: layer._getSubdomain({ x, y }),
+      x, y, z
+    }, layer.options));
+  }
+
+  function contourQueryUrl(x, y, z) {
+    const params = new URLSearchParams({
+      where: '1=1',
+      geometry: [tileToLng(x, z), tileToLat(y + 1, z), tileToLng(x + 1, z), tileToLat(y, z)].map(n => n.toFixed(6)).join(','),
+      geometryType: 'esriGeometryEnvelope',
+      inSR: '4326',
+      spatialRel: 'esriSpatialRelIntersects',
+      outFields: '*',
+      outSR: '4326',
+      geometryPrecision: '5',
+      f: 'geojson'
+    });
+    return `${LIO_CONTOUR_URL}/query?${params.toString()}`;
+  }
+
+  // Regions store their contour cell range ({ z, x0, x1, y0, y1 }), not the URLs
+  function contourCellUrls(cells) {
+    const urls = [];
+    if (!cells) return urls;
+    for (let x = cells.x0; x <= cells.x1; x++) for (let y = cells.y0; y <= cells.y1; y++) {
+      urls.push(contourQueryUrl(x, y, cells.z));
+    }
+    return urls;
+  }
+
+  function offlineOptions() {
+    const minZ = clamp(Math.round(Number(offlineMinZoom?.value) || 10), 1, 19);
+    const maxZ = clamp(Math.round(Number(offlineMaxZoom?.value) || 15), minZ, 19);
+    const sources = offlineSourceCks.filter(ck => ck.checked).map(ck => ck.dataset.offlineSource);
+    return { minZ, maxZ, sources };
+  }
+
+  // Expand the selected region/zooms/sources into concrete URLs. Contour cells
+  // count toward OFFLINE_MAX_TILES like tiles do (each is one server query).
+  function planOffline(bounds, { minZ, maxZ, sources }) {
+    const plan = { urls: [], contourCells: null, contourCount: 0, estBytes: 0, tiles: 0 };
+    for (const key of sources) {
+      const src = OFFLINE_SOURCES[key];
+      if (!src) continue;
+      if (key === 'contours') {
+        if (maxZ < CONTOUR_ZOOM_THRESHOLD) continue; // contours never load below this zoom
+        plan.contourCells = { z: CONTOUR_CELL_ZOOM, ...tileRange(bounds, CONTOUR_CELL_ZOOM) };
+        plan.contourCount = countTiles(bounds, CONTOUR_CELL_ZOOM);
+        plan.tiles += plan.contourCount;
+        plan.estBytes += plan.contourCount * src.avgBytes;
+        continue;
+      }
+      const layerMax = src.layer.options.maxZoom ?? maxZ;
+      for (let z = minZ; z <= Math.min(maxZ, layerMax); z++) {
+        const n = countTiles(bounds, z);
+        plan.tiles += n;
+        plan.estBytes += n * src.avgBytes;
+        if (plan.tiles > OFFLINE_MAX_TILES) continue; // over the cap: count only
+        const r = tileRange(bounds, z);
+        for (let x = r.x0; x <= r.x1; x++) for (let y = r.y0; y <= r.y1; y++) {
+          plan.urls.push(tileUrlFor(src.layer, x, y, z));
+        }
+      }
+    }
+    if (plan.tiles <= OFFLINE_MAX_TILES) plan.urls.push(...contourCellUrls(plan.contourCells));
+    return plan;
+  }
+
+  function updateOfflineEstimate() {
+    if (!offlineEstimateEl) return;
+    if (!offlineBounds) {
+      offlineEstimateEl.textContent = 'Draw an area or use the current view.';
+      if (offlineStartBtn) offlineStartBtn.disabled = true;
+      return;
+    }
+    const opts = offlineOptions();
+    const plan = planOffline(offlineBounds, opts);
+    const over = plan.tiles > OFFLINE_MAX_TILES;
+    const parts = [`${(plan.tiles - plan.contourCount).toLocaleString()} tiles`];
+    if (plan.contourCount) parts.push(`${plan.contourCount.toLocaleString()} contour cells`);
+    offlineEstimateEl.textContent = over
+      ? `${parts.join(' + ')} — over the ${OFFLINE_MAX_TILES.toLocaleString()} tile/cell limit; shrink the area or zoom range.`
+      : `${parts.join(' + ')} · ≈ ${formatBytes(plan.estBytes)}`;
+    if (offlineStartBtn) offlineStartBtn.disabled = !!offlineJob || over || !plan.urls.length;
+  }
+
+  function setOfflineBounds(bounds) {
+    offlineBounds = bounds;
+    offlineAreaLayer.clearLayers();
+    if (bounds) {
+      L.rectangle(bounds, { color: '#1472ff', weight: 2, dashArray: '6,4', fillOpacity: 0.06, interactive: false })
+        .addTo(offlineAreaLayer);
+    }
+    updateOfflineEstimate();
+  }
+
+  // Two taps (or clicks) mark opposite corners; works on touch screens too
+  function startOfflineDraw() {
+    let first = null, preview = null;
+    const container = map.getContainer();
+    container.classList.add('drawing-area');
+    if (offlineEstimateEl) offlineEstimateEl.textContent = 'Tap the first corner of the area…';
+
+    const onMove = (e) => {
+      if (!first) return;
+      const b = L.latLngBounds(first, e.latlng);
+      if (!preview) preview = L.rectangle(b, { color: '#1472ff', weight: 1, dashArray: '4,4', fillOpacity: 0.04, interactive: false }).addTo(map);
+      else preview.setBounds(b);
+    };
+    const onClick = (e) => {
+      if (!first) {
+        first = e.latlng;
+        if (offlineEstimateEl) offlineEstimateEl.textContent = 'Tap the opposite corner…';
+        return;
+      }
+      map.off('click', onClick);
+      map.off('mousemove', onMove);
+      if (preview) map.removeLayer(preview);
+      container.classList.remove('drawing-area');
+      setOfflineBounds(L.latLngBounds(first, e.latlng));
+    };
+    map.on('click', onClick);
+    map.on('mousemove', onMove);
+  }
+
+  function swRequest(msg) {
+    return new Promise((resolve, reject) => {
+      const ctl = navigator.serviceWorker?.controller;
+      if (!ctl) { reject(new Error('Service worker not active')); return; }
+      const ch = new MessageChannel();
+      ch.port1.onmessage = (e) => (e.data?.error ? reject(new Error(e.data.error)) : resolve(e.data));
+      ctl.postMessage(msg, [ch.port2]);
+    });
+  }
+
+  function setOfflineBusy(busy) {
+    if (offlineCancelBtn) offlineCancelBtn.disabled = !busy;
+    if (offlineProgress) offlineProgress.hidden = !busy;
+    [offlineDrawBtn, offlineViewBtn].forEach(b => { if (b) b.disabled = busy; });
+    updateOfflineEstimate();
+  }
+
+  async function downloadOfflineArea() {
+    if (!offlineBounds || offlineJob) return;
+    if (!navigator.serviceWorker?.controller) {
+      alert('Offline downloads need the app’s service worker. Reload the page once while online and try again.');
+      return;
+    }
+    const opts = offlineOptions();
+    const plan = planOffline(offlineBounds, opts);
+    if (!plan.urls.length || plan.tiles > OFFLINE_MAX_TILES) return;
+
+    const id = `r${Date.now().toString(36)}`;
+    const job = offlineJob = { cancelled: false };
+    const stats = { done: 0, ok: 0, failed: 0, bytes: 0 };
+    setOfflineBusy(true);
+    if (offlineProgress) { offlineProgress.max = plan.urls.length; offlineProgress.value = 0; }
+
+    try {
+      for (let i = 0; i < plan.urls.length && !job.cancelled; i += OFFLINE_BATCH) {
+        const batch = plan.urls.slice(i, i + OFFLINE_BATCH);
+        const res = await swRequest({ type: 'REGION_FETCH', regionId: id, urls: batch });
+        stats.done += batch.length;
+        stats.ok += res.ok || 0;
+        stats.failed += res.failed || 0;
+        stats.bytes += res.bytes || 0;
+        if (offlineProgress) offlineProgress.value = stats.done;
+        if (offlineStatusEl) {
+          offlineStatusEl.textContent = `${stats.done.toLocaleString()} / ${plan.urls.length.toLocaleString()} · ${formatBytes(stats.bytes)}`
+            + (stats.failed ? ` · ${stats.failed} failed` : '');
+        }
+      }
+    } catch (err) {
+      console.warn('Offline download failed:', err);
+      job.cancelled = true;
+      if (offlineStatusEl) offlineStatusEl.textContent = `Download failed: ${err.message}`;
+    }
+
+    if (job.cancelled) {
+      try { await caches.delete(REGION_CACHE_PREFIX + id); } catch {}
+      if (offlineStatusEl && !/failed/.test(offlineStatusEl.textContent)) offlineStatusEl.textContent = 'Download cancelled.';
+    } else {
+      const b = offlineBounds;
+      const regions = loadRegions();
+      regions.push({
+        id,
+        name: (offlineNameInput?.value || '').trim() || `Area ${regions.length + 1}`,
+        bounds: [[b.getSouth(), b.getWest()], [b.getNorth(), b.getEast()]],
+        minZoom: opts.minZ,
+        maxZoom: opts.maxZ,
+        sources: opts.sources,
+        createdAt: new Date().toISOString(),
+        entries: stats.ok,
+        failed: stats.failed,
+        bytes: stats.bytes,
+        contourCells: plan.contourCells
+      });
+      saveRegions(regions);
+      if (offlineNameInput) offlineNameInput.value = '';
+      if (offlineStatusEl) {
+        offlineStatusEl.textContent = `Saved ${stats.ok.toLocaleString()} items (${formatBytes(stats.bytes)})`
+          + (stats.failed ? `, ${stats.failed} failed` : '') + '.';
+      }
+      renderRegionList();
+    }
+    offlineJob = null;
+    setOfflineBusy(false);
+  }
+
+  function renderRegionList() {
+    if (!offlineRegionList) return;
+    const regions = loadRegions();
+    if (!regions.length) {
+      offlineRegionList.innerHTML = `<div class="empty" style="opacity:.8">No saved areas.</div>`;
+      return;
+    }
+    offlineRegionList.innerHTML = regions.map(r => {
+      const date = new Date(r.createdAt).toLocaleDateString();
+      const layers = (r.sources || []).map(k => OFFLINE_SOURCES[k]?.label || k).join(', ');
+      return `
+        <div class="region-item" data-id="${esc(r.id)}">
+          <div class="region-main" data-action="show">
+            <div style="font-weight:600;line-height:1.2">${esc(r.name)}</div>
+            <div class="muted" style="font-size:.85rem;opacity:.75">
+              ${date} · z${r.minZoom}–${r.maxZoom} · ${esc(layers)} · ${formatBytes(r.bytes)}
+            </div>
+          </div>
+          <button class="pin-del" data-action="del" title="Delete saved area">🗑️</button>
+        </div>`;
+    }).join('');
+  }
+
+  async function deleteRegion(id) {
+    const regions = loadRegions();
+    const r = regions.find(x => x.id === id);
+    if (!r || !confirm(`Delete offline area "${r.name}"?`)) return;
+    try { await caches.delete(REGION_CACHE_PREFIX + id); } catch {}
+    saveRegions(regions.filter(x => x.id !== id));
+    offlineContourRegions.delete(id);
+    renderRegionList();
+    updateOfflineContours();
+  }
+
+  offlineRegionList?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    const id = e.target.closest('.region-item')?.dataset.id;
+    if (!btn || !id) return;
+    if (btn.dataset.action === 'del') { deleteRegion(id); return; }
+    const r = loadRegions().find(x => x.id === id);
+    if (!r) return;
+    setOfflineBounds(L.latLngBounds(r.bounds));
+    map.fitBounds(r.bounds, { padding: [16, 16] });
+  });
+
+  offlineDrawBtn?.addEventListener('click', startOfflineDraw);
+  offlineViewBtn?.addEventListener('click', () => setOfflineBounds(map.getBounds()));
+  offlineStartBtn?.addEventListener('click', downloadOfflineArea);
+  offlineCancelBtn?.addEventListener('click', () => { if (offlineJob) offlineJob.cancelled = true; });
+  [offlineMinZoom, offlineMaxZoom, ...offlineSourceCks].forEach(el => el?.addEventListener('change', updateOfflineEstimate));
+
+  // Offline contours: the live feature layer can't reach the server, so draw
+  // the saved contour cells of any region in view instead.
+  const offlineContoursLayer = L.geoJSON(null, {
+    style: contoursLayer.options.style,
+    interactive: false
+  });
+  const offlineContourRegions = new Set(); // region ids already drawn
+
+  async function updateOfflineContours() {
+    const want = !navigator.onLine && showContours?.checked && map.getZoom() >= CONTOUR_ZOOM_THRESHOLD;
+    if (!want) {
+      if (map.hasLayer(offlineContoursLayer)) map.removeLayer(offlineContoursLayer);
+      return;
+    }
+    offlineContoursLayer.addTo(map);
+    const view = map.getBounds();
+    for (const r of loadRegions()) {
+      // areas saved before contourCells kept the full URL list
+      const urls = r.contourCells ? contourCellUrls(r.contourCells) : (r.contourUrls || []);
+      if (!urls.length || offlineContourRegions.has(r.id)) continue;
+      if (!view.intersects(L.latLngBounds(r.bounds))) continue;
+      offlineContourRegions.add(r.id);
+      try {
+        const cache = await caches.open(REGION_CACHE_PREFIX + r.id);
+        for (const url of urls) {
+          const res = await cache.match(url);
+          if (res) offlineContoursLayer.addData(await res.json());
+        }
+      } catch (err) {
+        console.warn('Offline contours not loaded for', r.name, err);
+      }
+    }
+  }
+  map.on('moveend', updateOfflineContours);
+  showContours?.addEventListener('change', updateOfflineContours);
+  window.addEventListener('online',  updateOfflineContours);
+  window.addEventListener('offline', updateOfflineContours);
+
+  renderRegionList();
+  updateOfflineEstimate();
+
+
   // Initial state
   updateContourVisibility(); // initial
   toggleAccess();           // initial
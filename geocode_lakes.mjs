@@ -1,15 +1,53 @@
 // geocode_lakes.mjs
-// Usage: node geocode_lakes.mjs Fish_Stocking_Data.geojson
+// Usage: node geocode_lakes.mjs [Fish_Stocking_Data.geojson] --email you@example.com [options]
+// Writes <input>_geocoded.geojson, <input>_geocoded_report.csv,
+// <input>_lakes.geojson (matched lake polygons the app loads for offline highlights)
+// and <input>_review.geojson (before→after lines; import it as an overlay to audit).
+//
+// With --gazetteer, names found in a local GeoJSON/CSV of places and waterbodies
+// (matching "Lac X" to "X Lake") are resolved offline and skip Nominatim.
+//
+// Points only move when the best candidate clears --min-confidence and lies within
+// --max-distance of the original; everything else keeps its geometry and is flagged.
+//
+// Nominatim responses are kept in an on-disk cache, which is the resume state: an
+// interrupted run picks up where it stopped and re-runs only query names/locations
+// not cached yet. A checkpoint beside the output lists the queries that failed, so
+// the next run retries those first.
 import fs from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
+import { parseArgs } from "util";
 
 // --- Config ---
 const ONTARIO_BBOX = [-95.16, 41.68, -74.34, 56.86]; // lonW,latS,lonE,latN (same as your app)
-const SLEEP_MS = 1100; // ~1 req/sec
+const DEFAULT_RATE = 0.9; // requests/sec (~1100 ms apart); Nominatim's policy is max 1/s
 const NOMINATIM = "https://nominatim.openstreetmap.org/search";
-const USER_AGENT = "OntarioTrails-Geocoder/1.0 (REPLACE_WITH_YOUR_EMAIL@example.com)";
 const ACCEPT_LANG = "en"; // change to "en-CA,fr-CA" if you want bilingual names
+const POLYGON_THRESHOLD = 0.0001; // deg (~10 m) outline simplification; keeps the lakes file small
+const CACHE_FLUSH_EVERY = 10; // queries between cache/checkpoint writes
+const MAX_ATTEMPTS = 3; // per query, for 429/5xx and network errors
+const DEFAULT_MAX_DISTANCE_M = 50000; // same 50 km rule as geocodeLake() in app.js
+const DEFAULT_MIN_CONFIDENCE = 2; // water class, or within 500 m of the original point
+const AMBIGUOUS_SEPARATION_M = 500; // runners-up closer than this are the same lake (way vs relation)
+
+const HELP = `Usage: node geocode_lakes.mjs [input.geojson] [options]
+
+  -i, --input <file>       Stocking FeatureCollection (default Fish_Stocking_Data.geojson)
+  -o, --output <file>      Geocoded copy (default <input>_geocoded.geojson; report CSV sits beside it)
+      --lakes <file>       Lake polygons for the app (default <input>_lakes.geojson)
+      --review <file>      Displacement lines for auditing (default <input>_review.geojson)
+      --gazetteer <file>   Local names (GeoJSON, or CSV with name,lat,lon[,type,region]) tried before Nominatim
+      --cache <file>       Nominatim response cache (default geocode_cache.json beside the input)
+      --checkpoint <file>  Failed queries to retry first (default <output>.checkpoint.json, removed when none fail)
+      --rate <n>           Requests per second (default ${DEFAULT_RATE}; capped at 1 for the public server)
+      --bbox <W,S,E,N>     Search box in degrees (default Ontario: ${ONTARIO_BBOX.join(",")})
+      --email <address>    Contact for the User-Agent; required by the public Nominatim server
+      --endpoint <url>     Search endpoint (default ${NOMINATIM})
+      --min-confidence <n> Score (0–4) a match needs before a point is moved (default ${DEFAULT_MIN_CONFIDENCE})
+      --max-distance <m>   Ignore candidates further than this from the original (default ${DEFAULT_MAX_DISTANCE_M})
+      --ambiguity <n>      Flag runners-up scoring within n of the best (default 0 = ties only)
+      --dry-run            Count the queries a run would make, then exit
+  -h, --help               Show this help`;
 
 // Prefer these classes/types from Nominatim for lakes
 const PREFERRED = new Set([
@@ -24,6 +62,80 @@ const PREFERRED = new Set([
 
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
+function readOptions() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      input: { type: "string", short: "i" },
+      output: { type: "string", short: "o" },
+      lakes: { type: "string" },
+      gazetteer: { type: "string" },
+      cache: { type: "string" },
+      checkpoint: { type: "string" },
+      rate: { type: "string" },
+      bbox: { type: "string" },
+      email: { type: "string" },
+      endpoint: { type: "string" },
+      review: { type: "string" },
+      "min-confidence": { type: "string" },
+      "max-distance": { type: "string" },
+      ambiguity: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  if (values.help) { console.log(HELP); process.exit(0); }
+
+  const input = values.input || positionals[0] || "Fish_Stocking_Data.geojson";
+  const sibling = suffix => path.join(path.dirname(input), path.basename(input).replace(/\.geojson$/i, "") + suffix);
+  const output = values.output || sibling("_geocoded.geojson");
+  const endpoint = values.endpoint || NOMINATIM;
+  const isPublic = new URL(endpoint).hostname === new URL(NOMINATIM).hostname;
+
+  const bbox = values.bbox ? values.bbox.split(",").map(Number) : ONTARIO_BBOX;
+  if (bbox.length !== 4 || bbox.some(n => !Number.isFinite(n)) || bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+    throw new Error(`--bbox must be W,S,E,N in degrees (got "${values.bbox}")`);
+  }
+
+  let rate = values.rate != null ? Number(values.rate) : DEFAULT_RATE;
+  if (!(rate > 0)) throw new Error(`--rate must be a positive number (got "${values.rate}")`);
+  if (isPublic && rate > 1) {
+    console.warn(`Rate ${rate}/s exceeds the public Nominatim limit; using 1/s.`);
+    rate = 1;
+  }
+
+  const number = (flag, fallback) => {
+    if (values[flag] == null) return fallback;
+    const n = Number(values[flag]);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`--${flag} must be a non-negative number (got "${values[flag]}")`);
+    return n;
+  };
+
+  const email = values.email || null;
+  if (isPublic && !email && !values["dry-run"]) {
+    throw new Error("The public Nominatim server requires a contact: pass --email you@example.com");
+  }
+
+  return {
+    input,
+    output,
+    report: output.replace(/\.geojson$/i, "") + "_report.csv",
+    lakes: values.lakes || sibling("_lakes.geojson"),
+    review: values.review || sibling("_review.geojson"),
+    minConfidence: number("min-confidence", DEFAULT_MIN_CONFIDENCE),
+    maxDistanceM: number("max-distance", DEFAULT_MAX_DISTANCE_M),
+    ambiguity: number("ambiguity", 0),
+    gazetteer: values.gazetteer || null,
+    cache: values.cache || path.join(path.dirname(input), "geocode_cache.json"),
+    checkpoint: values.checkpoint || `${output}.checkpoint.json`,
+    intervalMs: Math.ceil(1000 / rate),
+    bbox,
+    email,
+    endpoint,
+    dryRun: values["dry-run"]
+  };
+}
+
 // Robust property picker (handles case/space/underscore differences)
 function pickProp(obj, candidates) {
   if (!obj) return null;
@@ -42,6 +154,12 @@ function pickProp(obj, candidates) {
   return null;
 }
 
+// Must match nameCacheKey() in app.js: lower-cased name @ origin to 3 decimals
+function lakeKey(name, orig) {
+  const n = String(name || "").trim().toLowerCase();
+  return orig ? `${n}@${orig.lat.toFixed(3)},${orig.lon.toFixed(3)}` : n;
+}
+
 function haversine(lat1, lon1, lat2, lon2) {
   const toRad = d => (d * Math.PI) / 180;
   const R = 6371000; // m
@@ -55,11 +173,10 @@ function haversine(lat1, lon1, lat2, lon2) {
 
 function scoreCandidate(c, original) {
   // Prefer lake/water classes/types
-  const key = `${c.class}:${c.type}`;
-  let score = PREFERRED.has(key) ? 2 : 0;
+  let score = PREFERRED.has(c._key) ? 2 : 0;
   // If we have an original point, reward proximity
   if (original) {
-    const d = haversine(original.lat, original.lon, parseFloat(c.lat), parseFloat(c.lon));
+    const d = haversine(original.lat, original.lon, c.lat, c.lon);
     // <500 m: strong, <2 km: moderate
     if (d < 500) score += 2;
     else if (d < 2000) score += 1;
@@ -68,154 +185,472 @@ function scoreCandidate(c, original) {
   return score;
 }
 
-async function geocodeWaterbody(name, hint) {
-  const q = `${name}, Ontario, Canada`;
+// Waterbody name + origin for one stocking record (null when unnamed)
+function featureQuery(f) {
+  const p = f.properties || {};
+  // Same precedence as stockedWaterbodyName() in app.js so keys line up
+  const name =
+    pickProp(p, [
+      "OFFICIAL_WATERBODY_NAME",
+      "Official Waterbody Name",
+      "Official_Waterbody_Name",
+      "OFFICIAL WATERBODY NAME",
+      "official_waterbody_name"
+    ]) ||
+    pickProp(p, ["Official_French_Waterbody_Name", "Unoffcial_Waterbody_Name"]) ||
+    pickProp(p, ["WATERBODY", "LAKE_NAME", "LAKE", "WATER_BODY"]);
+
+  const origLon = f.geometry?.coordinates?.[0];
+  const origLat = f.geometry?.coordinates?.[1];
+  const orig = (typeof origLat === "number" && typeof origLon === "number")
+    ? { lat: origLat, lon: origLon }
+    : null;
+  return { name, orig, key: name ? lakeKey(name, orig) : null };
+}
+
+// One Nominatim search → trimmed candidate list (what the cache stores)
+async function queryNominatim(name, opts) {
+  const [w, s, e, n] = opts.bbox;
   const params = new URLSearchParams({
     format: "jsonv2",
-    q,
+    q: `${name}, Ontario, Canada`,
     countrycodes: "ca",
-    viewbox: `${ONTARIO_BBOX[0]},${ONTARIO_BBOX[3]},${ONTARIO_BBOX[2]},${ONTARIO_BBOX[1]}`, // W,N,E,S
+    viewbox: `${w},${n},${e},${s}`, // W,N,E,S
     bounded: "1",
     addressdetails: "0",
     limit: "8",
     dedupe: "1",
     extratags: "1",
-    polygon_geojson: "0"
+    polygon_geojson: "1",
+    polygon_threshold: String(POLYGON_THRESHOLD)
   });
+  if (opts.email) params.set("email", opts.email);
 
-  const res = await fetch(`${NOMINATIM}?${params.toString()}`, {
+  const res = await fetch(`${opts.endpoint}?${params.toString()}`, {
     headers: {
-      "User-Agent": USER_AGENT,
+      "User-Agent": `OntarioTrails-Geocoder/1.0${opts.email ? ` (${opts.email})` : ""}`,
       "Accept-Language": ACCEPT_LANG
     }
   });
-  if (!res.ok) throw new Error(`Nominatim HTTP ${res.status}`);
+  if (!res.ok) {
+    const err = new Error(`Nominatim HTTP ${res.status}`);
+    err.retryable = res.status === 429 || res.status >= 500;
+    throw err;
+  }
   const arr = await res.json();
+  if (!Array.isArray(arr)) return [];
 
-  if (!Array.isArray(arr) || arr.length === 0) return null;
+  return arr.map(c => ({
+    class: c.class, type: c.type,
+    display_name: c.display_name,
+    lat: parseFloat(c.lat), lon: parseFloat(c.lon),
+    osm_id: c.osm_id, osm_type: c.osm_type,
+    geojson: c.geojson || null,
+    boundingbox: Array.isArray(c.boundingbox) ? c.boundingbox.map(Number) : null // [S, N, W, E]
+  }));
+}
 
-  // Prefer lake/water; then score by proximity if we have original coords
-  const withScores = arr.map(c => {
-    const s = {
-      class: c.class, type: c.type,
-      display_name: c.display_name,
-      lat: parseFloat(c.lat), lon: parseFloat(c.lon),
-      osm_id: c.osm_id, osm_type: c.osm_type
-    };
-    s._score = scoreCandidate(c, hint);
-    s._key = `${c.class}:${c.type}`;
+// Retries throttling/server errors with a growing pause; 4xx input errors fail at once
+async function queryWithRetry(name, opts) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await queryNominatim(name, opts);
+    } catch (e) {
+      const retryable = e.retryable ?? true; // network errors carry no status
+      if (!retryable || attempt >= MAX_ATTEMPTS) throw e;
+      console.warn(`  retrying "${name}" after ${e.message} (attempt ${attempt + 1}/${MAX_ATTEMPTS})`);
+      await sleep(opts.intervalMs * 2 ** attempt);
+    }
+  }
+}
+
+// Score the cached candidates for one waterbody/location and decide whether the
+// best one is trustworthy enough to move the point to.
+// status: OK | LOW_CONFIDENCE | TOO_FAR | NO_MATCH
+function assessMatch(candidates, hint, opts) {
+  if (!candidates?.length) return { status: "NO_MATCH", best: null, runnerUp: null, count: 0 };
+  let scored = candidates.map(c => {
+    const s = { ...c, _key: `${c.class}:${c.type}` };
+    s._score = scoreCandidate(s, hint);
     return s;
   });
+  // Distance filter first, as in the app; unknown origins can't be checked
+  if (hint) {
+    const near = scored.filter(c => c._distance_m <= opts.maxDistanceM);
+    if (!near.length) {
+      const closest = scored.sort((a, b) => a._distance_m - b._distance_m)[0];
+      return { status: "TOO_FAR", best: closest, runnerUp: null, count: candidates.length };
+    }
+    scored = near;
+  }
+  // Prefer lake/water; then closest among equal scores
+  scored.sort((a, b) => b._score - a._score || (a._distance_m ?? 0) - (b._distance_m ?? 0));
+  const best = scored[0];
+  // Ambiguous: another candidate scores about as well but is a different place
+  const runnerUp = scored.slice(1).find(c =>
+    best._score - c._score <= opts.ambiguity &&
+    haversine(best.lat, best.lon, c.lat, c.lon) > AMBIGUOUS_SEPARATION_M) || null;
+  return {
+    status: best._score >= opts.minConfidence ? "OK" : "LOW_CONFIDENCE",
+    best,
+    runnerUp,
+    count: scored.length
+  };
+}
+
+// --- Local gazetteer ---
+// Canonical name fold: generic French/English terms fold to one spelling,
+// articles drop and the words are sorted, so "Lac Seul" and "Seul Lake" share a
+// key. app.js (no shared module between the page and this script) repeats it
+// as foldWaterTerms(normSearch(name)); a change here must be made there too.
+const WATER_TERM_FOLDS = {
+  lac: "lake", lacs: "lakes", riviere: "river", rivieres: "rivers", ruisseau: "creek",
+  etang: "pond", baie: "bay", ile: "island", iles: "islands", chute: "falls", chutes: "falls",
+  pointe: "point", mont: "mount", reservoir: "reservoir", reservorir: "reservoir"
+};
+const NAME_PARTICLES = new Set(["de", "du", "des", "la", "le", "les", "l", "d", "au", "aux", "the", "of"]);
+const WATER_WORDS = /\b(lakes?|rivers?|creek|pond|bay|reservoir|water)\b/;
+
+function foldWaterName(name) {
+  const words = String(name || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/[^a-z0-9]+/g, " ").trim().split(" ")
+    .map(w => WATER_TERM_FOLDS[w] || w);
+  const kept = words.filter(w => !NAME_PARTICLES.has(w));
+  return (kept.length ? kept : words).sort().join(" ");
+}
+
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+  return rows.filter(r => r.some(v => v.trim()))
+    .map(r => Object.fromEntries(header.map((h, i) => [h, (r[i] ?? "").trim()])));
+}
+
+// [S, N, W, E] like Nominatim's boundingbox
+function geometryBBox(g) {
+  let s = Infinity, n = -Infinity, w = Infinity, e = -Infinity;
+  const walk = c => {
+    if (typeof c[0] === "number") { s = Math.min(s, c[1]); n = Math.max(n, c[1]); w = Math.min(w, c[0]); e = Math.max(e, c[0]); }
+    else c.forEach(walk);
+  };
+  walk(g.coordinates);
+  return [s, n, w, e];
+}
+
+// Gazetteer rows as Nominatim-shaped candidates, indexed by folded name
+async function loadGazetteer(file) {
+  const text = await fs.readFile(file, "utf8");
+  const rows = [];
+  if (/\.csv$/i.test(file)) {
+    parseCSV(text).forEach(r => rows.push({
+      props: r,
+      lat: parseFloat(r.lat ?? r.latitude),
+      lon: parseFloat(r.lon ?? r.lng ?? r.longitude),
+      geojson: null
+    }));
+  } else {
+    (JSON.parse(text).features || []).forEach(f => {
+      const g = f.geometry;
+      if (!g) return;
+      const isShape = /Polygon$/.test(g.type);
+      const bbox = g.type === "Point" ? null : geometryBBox(g);
+      rows.push({
+        props: f.properties || {},
+        lat: g.type === "Point" ? g.coordinates[1] : (bbox[0] + bbox[1]) / 2,
+        lon: g.type === "Point" ? g.coordinates[0] : (bbox[2] + bbox[3]) / 2,
+        geojson: isShape ? g : null,
+        boundingbox: bbox
+      });
+    });
+  }
+
+  const index = new Map(); // folded name -> candidates
+  rows.forEach(({ props: p, lat, lon, geojson, boundingbox }) => {
+    const name = pickProp(p, ["name", "official_name", "geoname"]);
+    if (!name || !Number.isFinite(lat) || !Number.isFinite(lon)) return;
+    const type = pickProp(p, ["type", "kind", "feature_type", "generic"]) || "";
+    const water = WATER_WORDS.test(foldWaterName(`${name} ${type}`));
+    const key = foldWaterName(name);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({
+      class: water ? "natural" : "place",
+      type: water ? "water" : (type.toLowerCase() || "locality"),
+      display_name: [name, pickProp(p, ["region", "province"])].filter(Boolean).join(", "),
+      lat, lon,
+      osm_id: null, osm_type: null,
+      geojson,
+      boundingbox: boundingbox || null,
+      source: "gazetteer"
+    });
+  });
+  return index;
+}
+
+// Where a match came from, for reports: OSM object or the gazetteer
+function candidateRef(c) {
+  return c.source === "gazetteer" ? "gazetteer" : `${c.osm_type}/${c.osm_id}`;
+}
 
-  withScores.sort((a, b) => b._score - a._score);
-  return withScores[0];
+async function readJSON(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return fallback;
+    throw new Error(`Could not read ${file}: ${e.message}`);
+  }
+}
+
+// Write-then-rename so a crash mid-write never leaves a truncated cache/checkpoint
+async function writeJSONAtomic(file, value) {
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value));
+  await fs.rename(tmp, file);
 }
 
 async function main() {
-  const input = process.argv[2] || "Fish_Stocking_Data.geojson";
-  const raw = await fs.readFile(input, "utf8");
+  const opts = readOptions();
+  const raw = await fs.readFile(opts.input, "utf8");
   const gj = JSON.parse(raw);
   if (gj.type !== "FeatureCollection") throw new Error("Expected a FeatureCollection");
 
+  // Stocking data has one row per event; look each waterbody/location up once
+  const queries = gj.features.map(featureQuery);
+  const unique = new Map(); // lakeKey -> { name, orig }
+  queries.forEach(q => { if (q.key && !unique.has(q.key)) unique.set(q.key, q); });
+
+  // Confident gazetteer matches are final; only the rest go to Nominatim
+  const local = new Map(); // lakeKey -> gazetteer candidates
+  if (opts.gazetteer) {
+    const gazetteer = await loadGazetteer(opts.gazetteer);
+    unique.forEach(({ name, orig }, key) => {
+      const cands = gazetteer.get(foldWaterName(name));
+      if (cands && assessMatch(cands, orig, opts).status === "OK") local.set(key, cands);
+    });
+    console.log(`Gazetteer: ${gazetteer.size} names, ${local.size}/${unique.size} waterbodies matched locally`);
+  }
+
+  const cache = await readJSON(opts.cache, {}); // lakeKey -> candidate list ([] = no match)
+  const pending = [...unique.keys()].filter(k => !local.has(k) && !(k in cache));
+
+  if (opts.dryRun) {
+    const secs = Math.ceil((pending.length * opts.intervalMs) / 1000);
+    const eta = secs < 120 ? `${secs} s` : `${Math.ceil(secs / 60)} min`;
+    console.log(`${gj.features.length} features, ${unique.size} distinct waterbody/location keys`);
+    console.log(`${unique.size - local.size - pending.length} already cached in ${opts.cache}`);
+    console.log(`Would make ${pending.length} queries to ${opts.endpoint} (~${eta} at ${(1000 / opts.intervalMs).toFixed(2)}/s)`);
+    return;
+  }
+
+  // Progress comes from the cache itself, so failed or retried queries aren't counted twice
+  const cached = unique.size - local.size - pending.length;
+  if (cached > 0) {
+    console.log(`Resuming: ${cached} queries already cached, ${pending.length} remaining`);
+  }
+
+  // Only trust a checkpoint written for this same input and cache. Its failed
+  // queries go first and count as failed until they succeed.
+  const saved = await readJSON(opts.checkpoint, null);
+  const checkpoint = { input: path.resolve(opts.input), cache: path.resolve(opts.cache), features: gj.features.length, failed: [] };
+  const sameRun = saved && saved.input === checkpoint.input && saved.cache === checkpoint.cache && saved.features === checkpoint.features;
+  const pendingSet = new Set(pending);
+  const failed = new Set(sameRun ? (saved.failed || []).filter(k => pendingSet.has(k)) : []);
+  if (failed.size) {
+    pending.sort((a, b) => failed.has(b) - failed.has(a));
+    console.log(`Retrying ${failed.size} queries that failed last time first`);
+  }
+
+  let sinceFlush = 0;
+  // Writes are chained so a Ctrl-C flush never races one already in progress
+  // (both would write the same .tmp files)
+  let flushing = Promise.resolve();
+  const writeState = async () => {
+    checkpoint.failed = [...failed];
+    checkpoint.updated = new Date().toISOString();
+    await writeJSONAtomic(opts.cache, cache);
+    await writeJSONAtomic(opts.checkpoint, checkpoint);
+  };
+  const flush = () => {
+    sinceFlush = 0;
+    flushing = flushing.then(writeState, writeState);
+    return flushing;
+  };
+  // Ctrl-C: save what we have so the next run resumes here
+  process.once("SIGINT", async () => {
+    console.log("\nInterrupted; saving cache and checkpoint…");
+    try { await flush(); }
+    catch (e) { console.error("Could not save cache/checkpoint:", e.message); }
+    process.exit(130);
+  });
+
+  for (let i = 0; i < pending.length; i++) {
+    const key = pending[i];
+    const { name } = unique.get(key);
+    try {
+      cache[key] = await queryWithRetry(name, opts);
+      failed.delete(key);
+    } catch (e) {
+      failed.add(key);
+      console.error(`Geocode error for "${name}":`, e.message);
+    }
+    if (++sinceFlush >= CACHE_FLUSH_EVERY) await flush();
+    if ((i + 1) % 25 === 0) console.log(`Queried ${i + 1}/${pending.length}…`);
+    if (i < pending.length - 1) await sleep(opts.intervalMs);
+  }
+  await flush();
+
+  // Outputs are rebuilt from the cache, so a resumed run matches an uninterrupted one
+  const decisions = new Map(); // lakeKey -> assessMatch() result (+ name/orig/events)
+  queries.forEach(({ key, name, orig }) => {
+    if (!key) return;
+    if (!decisions.has(key)) {
+      const cands = local.get(key) ?? cache[key];
+      const d = !cands || failed.has(key)
+        ? { status: "ERROR", best: null, runnerUp: null, count: 0 }
+        : assessMatch(cands, orig, opts);
+      decisions.set(key, { ...d, name, orig, events: 0 });
+    }
+    decisions.get(key).events++;
+  });
+
   const out = structuredClone(gj);
   const report = [];
-  let ok = 0, miss = 0;
+  const tally = {};
 
   for (let i = 0; i < gj.features.length; i++) {
-    const f = gj.features[i];
-    const p = f.properties || {};
-    const name =
-      pickProp(p, [
-        "OFFICIAL_WATERBODY_NAME",
-        "Official Waterbody Name",
-        "Official_Waterbody_Name",
-        "OFFICIAL WATERBODY NAME",
-        "official_waterbody_name"
-      ]) ||
-      pickProp(p, ["WATERBODY", "LAKE_NAME", "LAKE", "WATER_BODY"]);
-
-    const origLon = f.geometry?.coordinates?.[0];
-    const origLat = f.geometry?.coordinates?.[1];
-    const orig = (typeof origLat === "number" && typeof origLon === "number")
-      ? { lat: origLat, lon: origLon }
-      : null;
-
-    let best = null;
-    if (name) {
-      try {
-        best = await geocodeWaterbody(name, orig);
-      } catch (e) {
-        console.error(`Geocode error for "${name}":`, e.message);
-      }
-      await sleep(SLEEP_MS);
-    }
+    const p = gj.features[i].properties || {};
+    const { name, orig, key } = queries[i];
+    const d = key ? decisions.get(key) : { status: "NO_MATCH", best: null, runnerUp: null, count: 0 };
+    const { status, best, runnerUp } = d;
+    tally[status] = (tally[status] || 0) + 1;
 
-    if (best) {
-      ok++;
-      // Update geometry to geocoded point (keeping it as Point)
+    // Only confident, in-range matches move; the rest keep their original point
+    if (status === "OK") {
       out.features[i].geometry = {
         type: "Point",
         coordinates: [best.lon, best.lat]
       };
-      // Stamp metadata (non-destructive)
-      out.features[i].properties = {
-        ...p,
-        _geocode_source: "nominatim",
-        _geocode_display_name: best.display_name,
-        _geocode_class_type: best._key,
-        _geocode_osm: `${best.osm_type}/${best.osm_id}`,
-        _geocode_confidence: best._score,
-        _geocode_distance_m: best._distance_m ?? null,
-        _orig_lon: orig?.lon ?? null,
-        _orig_lat: orig?.lat ?? null
-      };
-      report.push({
-        name,
-        status: "OK",
-        lat: best.lat,
-        lon: best.lon,
-        class_type: best._key,
-        distance_m: best._distance_m ?? "",
-        osm: `${best.osm_type}/${best.osm_id}`
-      });
-    } else {
-      miss++;
-      // Keep original geometry; mark miss
-      out.features[i].properties = {
-        ...p,
-        _geocode_source: "nominatim",
-        _geocode_confidence: 0,
-        _geocode_note: "no_match",
-        _orig_lon: orig?.lon ?? null,
-        _orig_lat: orig?.lat ?? null
-      };
-      report.push({ name: name ?? "(no name)", status: "NO_MATCH" });
-    }
-
-    if ((i + 1) % 25 === 0) {
-      console.log(`Processed ${i + 1}/${gj.features.length}…`);
     }
+    // Stamp metadata (non-destructive)
+    out.features[i].properties = {
+      ...p,
+      _geocode_source: best?.source || "nominatim",
+      _geocode_status: status,
+      _geocode_moved: status === "OK",
+      _geocode_display_name: best?.display_name ?? null,
+      _geocode_class_type: best?._key ?? null,
+      _geocode_osm: best ? candidateRef(best) : null,
+      _geocode_confidence: best?._score ?? 0,
+      _geocode_distance_m: best?._distance_m ?? null,
+      _geocode_ambiguous: !!runnerUp,
+      _orig_lon: orig?.lon ?? null,
+      _orig_lat: orig?.lat ?? null
+    };
+    report.push({
+      name: name ?? "(no name)",
+      status,
+      lat: best?.lat,
+      lon: best?.lon,
+      class_type: best?._key,
+      distance_m: best?._distance_m,
+      osm: best ? candidateRef(best) : "",
+      confidence: best?._score,
+      ambiguous: runnerUp ? "yes" : "",
+      candidates: d.count,
+      runner_up: runnerUp?.display_name,
+      runner_up_distance_m: runnerUp?._distance_m
+    });
   }
 
-  const outName = path.join(path.dirname(input), path.basename(input).replace(/\.geojson$/i, "_geocoded.geojson"));
-  await fs.writeFile(outName, JSON.stringify(out));
-  console.log(`\nWrote: ${outName}`);
+  await fs.writeFile(opts.output, JSON.stringify(out));
+  console.log(`\nWrote: ${opts.output}`);
 
-  // CSV report
+  // CSV report: lat/lon are the candidate's position even when the point was kept
+  const columns = ["name", "status", "lat", "lon", "class_type", "distance_m", "osm",
+    "confidence", "ambiguous", "candidates", "runner_up", "runner_up_distance_m"];
   const csv = [
-    "name,status,lat,lon,class_type,distance_m,osm",
+    columns.join(","),
     ...report.map(r =>
-      [r.name, r.status, r.lat ?? "", r.lon ?? "", r.class_type ?? "", r.distance_m ?? "", r.osm ?? ""]
-        .map(v => `"${String(v).replaceAll('"', '""')}"`).join(",")
+      columns.map(c => `"${String(r[c] ?? "").replaceAll('"', '""')}"`).join(",")
     )
   ].join("\n");
-  const repName = outName.replace(/\.geojson$/i, "_report.csv");
-  await fs.writeFile(repName, csv);
-  console.log(`Wrote: ${repName}`);
-  console.log(`Summary: matched=${ok}, no_match=${miss}`);
+  await fs.writeFile(opts.report, csv);
+  console.log(`Wrote: ${opts.report}`);
+
+  // Companion lake dataset: accepted matches only, polygon (or point) + bbox for fallback
+  const accepted = [...decisions].filter(([, d]) => d.status === "OK");
+  const lakes = {
+    type: "FeatureCollection",
+    features: accepted.map(([key, { best }]) => ({
+      type: "Feature",
+      geometry: /Polygon$/.test(best.geojson?.type || "")
+        ? best.geojson
+        : { type: "Point", coordinates: [best.lon, best.lat] },
+      properties: {
+        key,
+        display_name: best.display_name,
+        class: best.class,
+        type: best.type,
+        lat: best.lat,
+        lon: best.lon,
+        boundingbox: best.boundingbox,
+        osm: candidateRef(best)
+      }
+    }))
+  };
+  await fs.writeFile(opts.lakes, JSON.stringify(lakes));
+  console.log(`Wrote: ${opts.lakes} (${lakes.features.length} lakes)`);
+
+  // Review layer: one feature per waterbody/location. A line from the original
+  // point to the candidate where there is one, else the original point alone.
+  // The top-level name lets the app style it when imported as an overlay.
+  const review = {
+    type: "FeatureCollection",
+    name: "geocode_review",
+    features: [...decisions].filter(([, d]) => d.orig || d.best).map(([key, d]) => ({
+      type: "Feature",
+      geometry: d.orig && d.best
+        ? { type: "LineString", coordinates: [[d.orig.lon, d.orig.lat], [d.best.lon, d.best.lat]] }
+        : { type: "Point", coordinates: d.orig ? [d.orig.lon, d.orig.lat] : [d.best.lon, d.best.lat] },
+      properties: {
+        key,
+        name: d.name,
+        status: d.status,
+        ambiguous: !!d.runnerUp,
+        confidence: d.best?._score ?? 0,
+        distance_m: d.best?._distance_m ?? null,
+        display_name: d.best?.display_name ?? null,
+        runner_up: d.runnerUp?.display_name ?? null,
+        candidates: d.count,
+        events: d.events
+      }
+    }))
+  };
+  await fs.writeFile(opts.review, JSON.stringify(review));
+  console.log(`Wrote: ${opts.review} (${review.features.length} waterbodies)`);
+
+  // A clean finish needs no resume state; failures are retried next run (not cached)
+  if (failed.size === 0) await fs.rm(opts.checkpoint, { force: true });
+  else console.log(`${failed.size} queries failed; re-run to retry them (checkpoint kept at ${opts.checkpoint})`);
+  const ambiguous = [...decisions.values()].filter(d => d.runnerUp).length;
+  console.log(`Summary (features): ${Object.entries(tally).map(([k, n]) => `${k.toLowerCase()}=${n}`).join(", ")}; ambiguous waterbodies=${ambiguous}`);
 }
 
 await main().catch(e => {
-  console.error(e);
+  console.error(e.message || e);
   process.exit(1);
 });
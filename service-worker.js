@@ -1,15 +1,19 @@
 // service-worker.js — Ontario Trails PWA (robust caching + guards)
 
 // ===== Versioned caches ======================================================
-const VERSION = 'v3';
+const VERSION = 'v4';
 const STATIC_CACHE = `ontario-trails-static-${VERSION}`;
 const DATA_CACHE   = `ontario-trails-data-${VERSION}`;
 const TILE_CACHE   = `ontario-trails-tiles-${VERSION}`;
 
+// Offline areas: one unversioned cache per downloaded region. Never trimmed and
+// kept across version bumps; the page deletes them from its region manager.
+const REGION_PREFIX = 'ontario-trails-region-';
+
 // Limit sizes to avoid unbounded growth (tune as desired)
 const LIMITS = {
   [STATIC_CACHE]: 40,  // HTML/CSS/JS/manifest/icons
-  [DATA_CACHE]:   40,  // your *.geojson datasets
+  [DATA_CACHE]:   40,  // your *.geojson / *.csv datasets
   [TILE_CACHE]:   400, // tiles & CDN libs
 };
 
@@ -23,6 +27,7 @@ const APP_SHELL = [
   // Optional (include if you ship these):
   './OTN.geojson',                 // if present locally
   './Fish_Stocking_Data.geojson',  // if present locally
+  './Fish_Stocking_Data_lakes.geojson', // lake polygons from geocode_lakes.mjs, if present
   './Fishing_Access_Point.geojson' // if present locally
   // './icons/icon-192.png',
   // './icons/icon-512.png',
@@ -38,13 +43,50 @@ async function trimCache(cacheName, maxEntries) {
   await Promise.all(keys.slice(0, keys.length - maxEntries).map(k => cache.delete(k)));
 }
 
+function isRegionCache(name) {
+  return name.startsWith(REGION_PREFIX);
+}
+
+// Look a request up in every downloaded region (exact URL match)
+async function matchRegion(req) {
+  const keys = await caches.keys();
+  for (const k of keys) {
+    if (!isRegionCache(k)) continue;
+    const cache = await caches.open(k);
+    const hit = await cache.match(req);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// Fetch a batch of URLs into a region cache. CORS first so sizes are readable,
+// falling back to opaque responses for servers without CORS headers.
+async function cacheRegionBatch(regionId, urls) {
+  const cache = await caches.open(REGION_PREFIX + regionId);
+  const out = { ok: 0, failed: 0, bytes: 0 };
+  await Promise.all(urls.map(async (u) => {
+    try {
+      let res;
+      try { res = await fromNetworkWithTimeout(new Request(u, { mode: 'cors' }), 15000); }
+      catch { res = await fromNetworkWithTimeout(new Request(u, { mode: 'no-cors' }), 15000); }
+      if (!res || !(res.ok || res.type === 'opaque')) { out.failed++; return; }
+      if (res.type !== 'opaque') out.bytes += (await res.clone().blob()).size;
+      await cache.put(u, res);
+      out.ok++;
+    } catch {
+      out.failed++;
+    }
+  }));
+  return out;
+}
+
 function isSameOrigin(url) {
   return url.origin === self.location.origin;
 }
 
 function isDataURL(url) {
-  // treat your local data files as "data"
-  return isSameOrigin(url) && /\.geojson(\?|#|$)/i.test(url.pathname);
+  // treat your local data files as "data" (gazetteer may ship as CSV)
+  return isSameOrigin(url) && /\.(?:geojson|csv)(\?|#|$)/i.test(url.pathname);
 }
 
 function isStaticURL(url) {
@@ -101,7 +143,7 @@ self.addEventListener('activate', (event) => {
 
     const keep = new Set([STATIC_CACHE, DATA_CACHE, TILE_CACHE]);
     const keys = await caches.keys();
-    await Promise.all(keys.map(k => (!keep.has(k) ? caches.delete(k) : null)));
+    await Promise.all(keys.map(k => (!keep.has(k) && !isRegionCache(k) ? caches.delete(k) : null)));
   })());
   self.clients.claim();
 });
@@ -111,6 +153,19 @@ self.addEventListener('message', (event) => {
   if (event.data === 'SKIP_WAITING') self.skipWaiting();
 });
 
+// Offline area downloads: page sends { type: 'REGION_FETCH', regionId, urls }
+// over a MessageChannel and gets { ok, failed, bytes } back per batch.
+self.addEventListener('message', (event) => {
+  const msg = event.data;
+  const port = event.ports && event.ports[0];
+  if (!msg || msg.type !== 'REGION_FETCH' || !port) return;
+  event.waitUntil(
+    cacheRegionBatch(msg.regionId, msg.urls || [])
+      .then(res => port.postMessage(res))
+      .catch(err => port.postMessage({ error: err.message || 'Region fetch failed' }))
+  );
+});
+
 // ===== Fetch ================================================================
 self.addEventListener('fetch', (event) => {
   const req = event.request;
@@ -164,7 +219,7 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // 3) Same-origin DATA (.geojson): network-first (so your data updates when online)
+  // 3) Same-origin DATA (.geojson/.csv): network-first (so your data updates when online)
   if (isDataURL(url)) {
     event.respondWith((async () => {
       const cache = await caches.open(DATA_CACHE);
@@ -185,9 +240,12 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // 4) Tiles & CDNs: stale-while-revalidate
+  // 4) Tiles & CDNs: downloaded regions first, then stale-while-revalidate
   if (isTileOrCDN(url)) {
     event.respondWith((async () => {
+      const regional = await matchRegion(req);
+      if (regional) return regional;
+
       const cache = await caches.open(TILE_CACHE);
       const cached = await cache.match(req);
       const revalidate = (async () => {